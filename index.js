@@ -1,7 +1,7 @@
 var fs = require('fs'),
     path = require('path');
 
-['server', 'client', 'Agents'].forEach(function(f) {
+['server', 'client', 'Agents', 'constants'].forEach(function(f) {
   var exp = require(__dirname + '/lib/' + f),
       keys = Object.keys(exp);
   for (var i = 0, len = keys.length; i < len; ++i)
@@ -11,6 +11,9 @@ var fs = require('fs'),
 // Add UpstreamSocks class from server.instance.js
 const UpstreamSocks = require('./lib/server.instance');
 exports.UpstreamSocks = UpstreamSocks.Server;
+exports.ERROR_CATEGORY = require('./lib/errors').ERROR_CATEGORY;
+exports.createUsernameParser = require('./lib/username').createUsernameParser;
+exports.MemoryQuotaStore = require('./lib/quota').MemoryQuotaStore;
 
 exports.auth = {};
 
@@ -34,8 +34,30 @@ module.exports = function UserPasswordAuthHandlers() {
   } else
     throw new Error('Wrong arguments');
 
+  // Checks credentials obtained by other means than the RFC 1929
+  // sub-negotiation too (e.g. HTTP Proxy-Authorization)
+  function verify(stream, user, pass, cb) {
+    // Extract the connection ID from the stream object
+    var connectionId = stream.connectionId || 'unknown';
+
+    // Store username and password on the stream object so they can be accessed later
+    stream.username = user;
+    stream.password = pass;
+
+    if (!authcb)
+      return cb(false);
+
+    // Keep the original socksv5 (user, pass, cb) signature working,
+    // otherwise pass the connectionId and the client stream along
+    if (authcb.length === 3)
+      authcb(user, pass, cb);
+    else
+      authcb(user, pass, connectionId, cb, stream);
+  }
+
   return {
     METHOD: 0x02,
+    verify: verify,
     server: function serverHandler(stream, cb) {
       var state = STATE_VERSION,
           userp = 0,
@@ -121,15 +143,7 @@ module.exports = function UserPasswordAuthHandlers() {
                 state = STATE_VERSION;
                 if (i < len)
                   stream.unshift(chunk.slice(i));
-                // Extract the connection ID from the stream object
-                var connectionId = stream.connectionId || 'unknown';
-                
-                // Store username and password on the stream object so they can be accessed later
-                stream.username = user;
-                stream.password = pass;
-                
-                // Pass the connectionId to the auth callback
-                authcb(user, pass, connectionId, function(success) {
+                verify(stream, user, pass, function(success) {
                   if (stream.writable) {
                     if (success)
                       stream.write(BUF_SUCCESS);
@@ -1,5 +1,4 @@
 var net = require('net'),
-    normalizeConnectArgs = net._normalizeConnectArgs,
     dns = require('dns'),
     util = require('util'),
     inherits = util.inherits,
@@ -43,6 +42,8 @@ function Client(options) {
   else if (typeof this._proxyport !== 'number')
     this._proxyport = 1080;
 
+  this._cmd = CMD.CONNECT;
+  this._bound = false;
   this._dstaddr = undefined;
   this._dstport = undefined;
   this._localDNS = (options && typeof options.localDNS === 'boolean'
@@ -110,8 +111,16 @@ Client.prototype._onConnect = function() {
     if (socket.writable)
       socket.end();
   }).on('reply', function(repInfo) {
+    // BIND gets a first reply with the address the proxy listens on and a
+    // second one with the address of the peer once it has connected
+    if (self._cmd === CMD.BIND && !self._bound) {
+      self._bound = true;
+      self.emit('bound', repInfo);
+      parser.start();
+      return;
+    }
     self._ready = true;
-    self.emit('connect', self._sock);
+    self.emit('connect', self._sock, repInfo);
     self._sock.resume();
   });
 };
@@ -126,7 +135,7 @@ Client.prototype._sendRequest = function() {
       reqbuf = new Buffer(6 + (iptype === 0 ? 1 : 0) + addrlen),
       p;
   reqbuf[0] = 0x05;
-  reqbuf[1] = CMD.CONNECT;
+  reqbuf[1] = self._cmd;
   reqbuf[2] = 0x00;
   if (iptype > 0) {
     var addrbytes = ipbytes(self._dstaddr);
@@ -178,9 +187,38 @@ Client.prototype.connect = function(options, cb) {
   if (typeof cb === 'function')
     this.once('connect', cb);
 
+  this._cmd = CMD.CONNECT;
   this._dstaddr = options.host || 'localhost';
   this._dstport = +options.port;
 
+  return this._request(options);
+};
+
+/*
+  Asks the proxy to listen for an incoming connection (SOCKS5 BIND). host and
+  port are the address the peer is expected to connect from (any by default).
+  'bound' is emitted with the address to hand to the peer, then 'connect' with
+  the socket and the peer address once it has connected.
+*/
+Client.prototype.bind = function(options, cb) {
+  if (this._auths.length === 0)
+    throw new Error('Missing client authentication method(s)');
+
+  options = options || {};
+
+  if (typeof cb === 'function')
+    this.once('bound', cb);
+
+  this._cmd = CMD.BIND;
+  this._dstaddr = options.host || '0.0.0.0';
+  this._dstport = +options.port || 0;
+
+  return this._request(options);
+};
+
+Client.prototype._request = function(options) {
+  var self = this;
+
   if (typeof options.localDNS === 'boolean')
     this._localDNS = options.localDNS;
   if (typeof options.strictLocalDNS === 'boolean')
@@ -194,7 +232,7 @@ Client.prototype.connect = function(options, cb) {
     this._parser.stop();
   this._parser = new Parser(this._sock);
 
-  this._hadError = this._ready = false;
+  this._hadError = this._ready = this._bound = false;
 
   var realOptions = {
     host: this._proxyhost,
@@ -220,6 +258,25 @@ Client.prototype.connect = function(options, cb) {
   return this;
 };
 
+// connect(options, [cb]), connect(port, [host], [cb]) or connect(path, [cb]),
+// the way net.connect() accepts them
+function normalizeConnectArgs(args) {
+  var options = {},
+      cb = args[args.length - 1];
+
+  if (args[0] !== null && typeof args[0] === 'object')
+    options = args[0];
+  else if (typeof args[0] === 'string' && isNaN(args[0]))
+    options.path = args[0];
+  else {
+    options.port = args[0];
+    if (typeof args[1] === 'string')
+      options.host = args[1];
+  }
+
+  return (typeof cb === 'function' ? [options, cb] : [options]);
+}
+
 exports.Client = Client;
 exports.connect = exports.createConnection = function() {
   var args = normalizeConnectArgs(arguments),
@@ -229,3 +286,10 @@ exports.connect = exports.createConnection = function() {
   });
   return client;
 };
+exports.bind = function(options, cb) {
+  var client = new Client(options);
+  process.nextTick(function() {
+    client.bind(options, cb);
+  });
+  return client;
+};
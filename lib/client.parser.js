@@ -195,10 +195,18 @@ Parser.prototype._onData = function(chunk) {
           } else
             this._bndaddr = this._bndaddr.toString();
 
-          this.emit('reply', {
+          var reply = {
             bndAddr: this._bndaddr,
             bndPort: this._bndport
-          });
+          };
+
+          // Get ready for the second reply of a BIND request
+          this._state = STATE_VERSION;
+          this._bndaddr = undefined;
+          this._bndaddrp = 0;
+          this._bndport = undefined;
+
+          this.emit('reply', reply);
           return;
         }
         ++i;
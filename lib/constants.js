@@ -21,3 +21,10 @@ exports.REP = {
   CMDUNSUPP: 0x07,
   ATYPUNSUPP: 0x08
 };
+
+exports.REP4 = {
+  GRANTED: 0x5A,
+  REJECTED: 0x5B,
+  NO_IDENTD: 0x5C,
+  IDENTD_MISMATCH: 0x5D
+};
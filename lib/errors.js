@@ -0,0 +1,157 @@
+const { REP } = require('./constants');
+
+/**
+ * Categories of request failures, reported in `requestFailed` events
+ */
+const ERROR_CATEGORY = {
+    PREPARE_REQUEST: 'prepare_request',
+    LIMIT_EXCEEDED: 'limit_exceeded',
+    QUOTA_EXCEEDED: 'quota_exceeded',
+    DNS: 'dns',
+    TIMEOUT: 'timeout',
+    UPSTREAM_UNREACHABLE: 'upstream_unreachable',
+    UPSTREAM_AUTH: 'upstream_auth',
+    UPSTREAM_REPLY: 'upstream_reply',
+    DESTINATION_UNREACHABLE: 'destination_unreachable',
+    UNSUPPORTED: 'unsupported',
+    PROTOCOL: 'protocol',
+    INTERNAL: 'internal'
+};
+
+// Reply sent to the client for each category, unless the error carries its own
+const CATEGORY_REPLIES = {
+    [ERROR_CATEGORY.DNS]: REP.HOSTUNREACH,
+    [ERROR_CATEGORY.TIMEOUT]: REP.TTLEXPIRED,
+    [ERROR_CATEGORY.UPSTREAM_UNREACHABLE]: REP.NETUNREACH,
+    [ERROR_CATEGORY.DESTINATION_UNREACHABLE]: REP.HOSTUNREACH
+};
+
+// Reply names used by the socks package in its rejection messages
+const SOCKS5_REPLIES = {
+    Failure: REP.GENFAIL,
+    NotAllowed: REP.DISALLOW,
+    NetworkUnreachable: REP.NETUNREACH,
+    HostUnreachable: REP.HOSTUNREACH,
+    ConnectionRefused: REP.CONNREFUSED,
+    TTLExpired: REP.TTLEXPIRED,
+    CommandNotSupported: REP.CMDUNSUPP,
+    AddressNotSupported: REP.ATYPUNSUPP
+};
+
+// Requests refused by policy rather than failing to connect
+const DENIAL_CATEGORIES = [
+    ERROR_CATEGORY.PREPARE_REQUEST,
+    ERROR_CATEGORY.LIMIT_EXCEEDED,
+    ERROR_CATEGORY.QUOTA_EXCEEDED
+];
+
+// Failures that say something about the upstream itself, as opposed to the
+// destination or the request
+const UPSTREAM_FAILURE_CATEGORIES = [
+    ERROR_CATEGORY.UPSTREAM_UNREACHABLE,
+    ERROR_CATEGORY.UPSTREAM_AUTH,
+    ERROR_CATEGORY.TIMEOUT,
+    ERROR_CATEGORY.PROTOCOL
+];
+
+const DNS_CODES = ['ENOTFOUND', 'EAI_AGAIN', 'EAI_FAIL', 'ENODATA'];
+const UNREACHABLE_CODES = ['ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE'];
+
+/**
+ * Gets the system error code of an error. The socks package only keeps the
+ * message of socket errors, so the code is looked for there as well.
+ * @param {Error} err - Error
+ * @returns {string|undefined} Error code such as ECONNREFUSED
+ */
+function getErrorCode(err) {
+    if (err.code) {
+        return err.code;
+    }
+    const m = /\b(E[A-Z_]{3,})\b/.exec(err.message || '');
+    return m ? m[1] : undefined;
+}
+
+/**
+ * Works out why an upstream connection failed and which SOCKS5 reply should
+ * tell the client about it: the upstream's own reply code when it rejected
+ * the request, the local error class otherwise. Fills in `err.category` and
+ * `err.rep` when missing.
+ * @param {Error} err - Error from connectChain() or associateUpstream()
+ * @returns {Error} The same error
+ */
+function classifyUpstreamError(err) {
+    if (!err.category) {
+        const message = err.message || '';
+        const code = getErrorCode(err);
+        let m;
+
+        if ((m = /Socks5 proxy rejected connection - (\w+)/i.exec(message))) {
+            err.category = ERROR_CATEGORY.UPSTREAM_REPLY;
+            if (typeof err.rep !== 'number') {
+                err.rep = SOCKS5_REPLIES[m[1]] ?? REP.GENFAIL;
+            }
+        } else if (/Socks4 Proxy rejected connection/i.test(message)) {
+            err.category = ERROR_CATEGORY.UPSTREAM_REPLY;
+        } else if (err.statusCode === 407 || /Authentication failed|no accepted authentication type/i.test(message)) {
+            err.category = ERROR_CATEGORY.UPSTREAM_AUTH;
+        } else if (err.statusCode) {
+            err.category = ERROR_CATEGORY.UPSTREAM_REPLY;
+        } else if (code === 'ETIMEDOUT' || /timed out/i.test(message)) {
+            err.category = ERROR_CATEGORY.TIMEOUT;
+        } else if (DNS_CODES.includes(code) || UNREACHABLE_CODES.includes(code) || /Socket closed/i.test(message)) {
+            // Local lookups only concern upstream hosts, destinations are
+            // resolved by the upstreams (or marked DNS by getSocks4Destination)
+            err.category = ERROR_CATEGORY.UPSTREAM_UNREACHABLE;
+        } else if (/^Received invalid/i.test(message)) {
+            err.category = ERROR_CATEGORY.PROTOCOL;
+        } else {
+            err.category = ERROR_CATEGORY.INTERNAL;
+        }
+    }
+
+    if (typeof err.rep !== 'number') {
+        err.rep = CATEGORY_REPLIES[err.category] ?? REP.GENFAIL;
+    }
+
+    return err;
+}
+
+/**
+ * Works out the category of a direct connection failure (see
+ * classifyUpstreamError)
+ * @param {Error} err - Error from the connection to the destination
+ * @returns {string} Error category
+ */
+function classifyDirectError(err) {
+    const code = getErrorCode(err);
+
+    if (code === 'ETIMEDOUT') {
+        return ERROR_CATEGORY.TIMEOUT;
+    }
+    if (DNS_CODES.includes(code) || code === 'ENOENT') {
+        return ERROR_CATEGORY.DNS;
+    }
+    if (UNREACHABLE_CODES.includes(code)) {
+        return ERROR_CATEGORY.DESTINATION_UNREACHABLE;
+    }
+    return ERROR_CATEGORY.INTERNAL;
+}
+
+/**
+ * Tells whether an upstream connection failure is the upstream's fault
+ * (unreachable, authentication, timeout, protocol errors) rather than the
+ * destination's or the request's
+ * @param {Error} err - Error from connectChain()
+ * @returns {boolean} Whether the upstream failed
+ */
+function isUpstreamFailure(err) {
+    return UPSTREAM_FAILURE_CATEGORIES.includes(classifyUpstreamError(err).category);
+}
+
+module.exports = {
+    ERROR_CATEGORY,
+    DENIAL_CATEGORIES,
+    classifyUpstreamError,
+    classifyDirectError,
+    isUpstreamFailure
+};
@@ -0,0 +1,114 @@
+var inherits = require('util').inherits,
+    EventEmitter = require('events').EventEmitter;
+
+var CRLF2 = new Buffer('\r\n\r\n'),
+    MAX_HEAD_LEN = 16 * 1024,
+    MAX_METHOD_LEN = 16;
+
+/*
+  Parses the head of an HTTP proxy request:
+
+    CONNECT example.org:443 HTTP/1.1
+    GET http://example.org/ HTTP/1.1
+
+  Only the head is consumed, whatever follows it is pushed back to the stream.
+*/
+function Parser(stream) {
+  var self = this;
+
+  this._stream = stream;
+  this._listening = false;
+  this.__onData = function(chunk) {
+    self._onData(chunk);
+  };
+
+  this._head = new Buffer(0);
+
+  this.start();
+}
+inherits(Parser, EventEmitter);
+
+Parser.prototype._onData = function(chunk) {
+  var head = Buffer.concat([this._head, chunk]),
+      searchFrom = Math.max(0, this._head.length - 3),
+      end = head.indexOf(CRLF2, searchFrom),
+      sp = head.indexOf(0x20),
+      methodLen = (sp === -1 ? head.length : sp);
+
+  // Fail early on anything that does not start like an HTTP request line
+  if (methodLen > MAX_METHOD_LEN || sp === 0) {
+    this.stop();
+    this.emit('error', new Error('Invalid HTTP request method'));
+    return;
+  }
+  for (var i = 0; i < methodLen; ++i) {
+    if (head[i] < 0x41 || head[i] > 0x5A) {
+      this.stop();
+      this.emit('error', new Error('Invalid HTTP request method'));
+      return;
+    }
+  }
+
+  if (end === -1) {
+    if (head.length > MAX_HEAD_LEN) {
+      this.stop();
+      this.emit('error', new Error('HTTP request head too large'));
+      return;
+    }
+    this._head = head;
+    return;
+  }
+
+  this.stop();
+  this._head = new Buffer(0);
+  if (end + 4 < head.length)
+    this._stream.unshift(head.slice(end + 4));
+
+  var lines = head.toString('latin1', 0, end).split('\r\n'),
+      m = /^([A-Z]+) (\S+) HTTP\/(\d\.\d)$/.exec(lines[0]);
+
+  if (!m) {
+    this.emit('error', new Error('Invalid HTTP request line'));
+    return;
+  }
+
+  var headers = {},
+      rawHeaders = [];
+  for (var l = 1; l < lines.length; ++l) {
+    var colon = lines[l].indexOf(':');
+    if (colon <= 0) {
+      this.emit('error', new Error('Invalid HTTP header line'));
+      return;
+    }
+    var name = lines[l].slice(0, colon).trim(),
+        value = lines[l].slice(colon + 1).trim();
+    headers[name.toLowerCase()] = value;
+    rawHeaders.push([name, value]);
+  }
+
+  this.emit('request', {
+    method: m[1],
+    target: m[2],
+    httpVersion: m[3],
+    headers: headers,
+    rawHeaders: rawHeaders
+  });
+};
+
+Parser.prototype.start = function() {
+  if (this._listening)
+    return;
+  this._listening = true;
+  this._stream.on('data', this.__onData);
+  this._stream.resume();
+};
+
+Parser.prototype.stop = function() {
+  if (!this._listening)
+    return;
+  this._listening = false;
+  this._stream.removeListener('data', this.__onData);
+  this._stream.pause();
+};
+
+module.exports = Parser;
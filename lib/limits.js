@@ -0,0 +1,73 @@
+/**
+ * Concurrent connection counters per username and per client IP address,
+ * enforcing the caps connections are admitted with. Connections without a
+ * username only count towards their IP address.
+ */
+class ConnectionLimits {
+    constructor() {
+        this.users = new Map();
+        this.ips = new Map();
+    }
+
+    /**
+     * Counts a new connection unless it would go over one of the caps
+     * @param {string} username - Username ('' for none)
+     * @param {string} address - Client IP address
+     * @param {Object} limits - Caps to enforce, absent or 0 for none
+     * @param {number} [limits.perUser] - Concurrent connections per username
+     * @param {number} [limits.perIp] - Concurrent connections per IP address
+     * @returns {Object|null} null when counted, otherwise the exceeded
+     *   limit ('user' or 'ip'), its max and the current count
+     */
+    acquire(username, address, limits) {
+        const userCount = username ? this.users.get(username) || 0 : 0;
+        const ipCount = this.ips.get(address) || 0;
+
+        if (username && limits.perUser > 0 && userCount >= limits.perUser) {
+            return { limit: 'user', max: limits.perUser, current: userCount };
+        }
+        if (limits.perIp > 0 && ipCount >= limits.perIp) {
+            return { limit: 'ip', max: limits.perIp, current: ipCount };
+        }
+
+        if (username) {
+            this.users.set(username, userCount + 1);
+        }
+        this.ips.set(address, ipCount + 1);
+
+        return null;
+    }
+
+    /**
+     * Releases a connection counted by acquire()
+     * @param {string} username - Username ('' for none)
+     * @param {string} address - Client IP address
+     */
+    release(username, address) {
+        if (username) {
+            decrement(this.users, username);
+        }
+        decrement(this.ips, address);
+    }
+
+    getUserCount(username) {
+        return this.users.get(username) || 0;
+    }
+
+    getIpCount(address) {
+        return this.ips.get(address) || 0;
+    }
+}
+
+function decrement(counts, key) {
+    const count = (counts.get(key) || 0) - 1;
+    if (count > 0) {
+        counts.set(key, count);
+    } else {
+        counts.delete(key);
+    }
+}
+
+module.exports = {
+    ConnectionLimits
+};
@@ -0,0 +1,151 @@
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Fields whose values never reach the logs, at any depth. TLS options of
+// HTTPS upstreams may hold a private key, its passphrase or a PFX bundle.
+const REDACTED_KEYS = ['password', 'auth', 'authorization', 'proxy-authorization', 'tls'];
+
+const REDACTED = '[REDACTED]';
+
+// Nesting below which objects are left out of the records
+const MAX_DEPTH = 8;
+
+/**
+ * Replaces the values of credential fields (passwords, upstream auth and TLS
+ * options, authorization headers) and serializes errors. Reference cycles
+ * and objects nested deeper than MAX_DEPTH are replaced by a placeholder.
+ * @param {*} value - Log field value
+ * @param {WeakSet} [ancestors] - Objects being redacted around the value
+ * @param {number} [depth] - Nesting of the value
+ * @returns {*} Redacted copy
+ */
+function redact(value, ancestors = new WeakSet(), depth = 0) {
+    if (value instanceof Error) {
+        return { message: value.message, code: value.code, category: value.category };
+    }
+
+    if (!value || typeof value !== 'object' || Buffer.isBuffer(value)) {
+        return value;
+    }
+
+    if (ancestors.has(value)) {
+        return '[Circular]';
+    }
+
+    if (depth >= MAX_DEPTH) {
+        return '[Truncated]';
+    }
+
+    ancestors.add(value);
+
+    let redacted;
+
+    if (Array.isArray(value)) {
+        redacted = value.map((item) => redact(item, ancestors, depth + 1));
+    } else {
+        redacted = {};
+        for (const [key, field] of Object.entries(value)) {
+            if (field === undefined) {
+                continue;
+            }
+            redacted[key] = REDACTED_KEYS.includes(key.toLowerCase())
+                ? REDACTED
+                : redact(field, ancestors, depth + 1);
+        }
+    }
+
+    // Only ancestors make cycles, the same object may appear side by side
+    ancestors.delete(value);
+
+    return redacted;
+}
+
+/**
+ * Default logger writing one JSON record per line, debug and info records to
+ * stdout, warn and error ones to stderr
+ * @param {string} level - Lowest level written
+ * @returns {Object} Logger with a method per level taking (fields, message),
+ *   and isLevelEnabled(level)
+ */
+function createConsoleLogger(level) {
+    const logger = {};
+    const min = LEVELS.indexOf(level);
+
+    logger.isLevelEnabled = (name) => LEVELS.indexOf(name) >= min;
+
+    LEVELS.forEach((name, i) => {
+        logger[name] = i < min ? () => {} : (fields, message) => {
+            const record = JSON.stringify({ time: new Date().toISOString(), level: name, msg: message, ...fields });
+            if (i < LEVELS.indexOf('warn')) {
+                console.log(record);
+            } else {
+                console.error(record);
+            }
+        };
+    });
+
+    return logger;
+}
+
+/**
+ * Structured logger in front of a pino-style target (methods per level taking
+ * the record fields then the message). Every record written goes through
+ * redact(), whatever the target; records of levels the target has disabled
+ * (per its isLevelEnabled method, as pino and winston have) are dropped first.
+ */
+class Logger {
+    /**
+     * @param {Object} target - Logger receiving the records
+     * @param {Object} [bindings] - Fields added to every record
+     */
+    constructor(target, bindings = {}) {
+        this.target = target;
+        this.bindings = bindings;
+
+        for (const level of LEVELS) {
+            this[level] = (fields, message) => this.write(level, fields, message);
+        }
+    }
+
+    write(level, fields, message) {
+        const write = this.target[level] || this.target.info;
+
+        if (typeof this.target.isLevelEnabled === 'function' && !this.target.isLevelEnabled(level)) {
+            return;
+        }
+
+        if (typeof fields === 'string') {
+            message = fields;
+            fields = {};
+        }
+
+        write.call(this.target, redact({ ...this.bindings, ...fields }), message);
+    }
+
+    /**
+     * Creates a logger adding fields to every record, e.g. the connectionId
+     * @param {Object} bindings - Fields to add
+     * @returns {Logger} Child logger
+     */
+    child(bindings) {
+        return new Logger(this.target, { ...this.bindings, ...bindings });
+    }
+}
+
+/**
+ * Resolves the logger option
+ * @param {Object} [target] - pino-style logger, the console one when absent
+ * @param {boolean} [verbose] - Level of the console logger: debug when
+ *   verbose, warn otherwise
+ * @returns {Logger} Logger
+ */
+function createLogger(target, verbose) {
+    return new Logger(target || createConsoleLogger(verbose ? 'debug' : 'warn'));
+}
+
+module.exports = {
+    LEVELS,
+    Logger,
+    createLogger,
+    createConsoleLogger,
+    redact
+};
@@ -0,0 +1,387 @@
+const http = require('http');
+const { DENIAL_CATEGORIES } = require('./errors');
+
+const DEFAULT_OPTIONS = {
+    prefix: 'upstream_socks_',
+    path: '/metrics',
+    host: '127.0.0.1',
+    labels: [],
+    maxSeries: 1000,
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+};
+
+// Labels whose values come from clients or configuration and may be many
+const CAPPED_LABELS = ['user', 'upstream'];
+
+// Value replacing capped labels once a metric has maxSeries series
+const OVERFLOW_VALUE = 'other';
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Metric with a series per combination of label values, capped to maxSeries:
+ * new combinations beyond it get their user and upstream labels replaced by
+ * `other`
+ */
+class Metric {
+    constructor(type, name, help, labelNames, maxSeries) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.maxSeries = maxSeries;
+        this.series = new Map();
+        this.collectFunction = null;
+    }
+
+    /**
+     * Gets the series of a set of labels, creating it when new
+     * @param {Object} labels - Label values by name
+     * @returns {Object} Series with its labels
+     */
+    getSeries(labels = {}) {
+        let values = this.labelNames.map((name) => String(labels[name] ?? ''));
+        let key = values.join('\u0000');
+
+        if (!this.series.has(key) && this.series.size >= this.maxSeries) {
+            values = values.map((value, i) => CAPPED_LABELS.includes(this.labelNames[i]) ? OVERFLOW_VALUE : value);
+            key = values.join('\u0000');
+        }
+
+        let series = this.series.get(key);
+        if (!series) {
+            series = this.createSeries(values);
+            this.series.set(key, series);
+        }
+
+        return series;
+    }
+
+    createSeries(values) {
+        return { values, value: 0 };
+    }
+
+    /**
+     * Sets a function called before each exposition to update the metric
+     * @param {Function} fn - Called with the metric
+     */
+    onCollect(fn) {
+        this.collectFunction = fn;
+    }
+
+    /**
+     * Formats the metric in the Prometheus text format
+     * @returns {string} Exposition lines
+     */
+    expose() {
+        if (this.collectFunction) {
+            this.collectFunction(this);
+        }
+
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+
+        for (const series of this.series.values()) {
+            lines.push(...this.exposeSeries(series));
+        }
+
+        return lines.join('\n');
+    }
+
+    exposeSeries(series) {
+        return [`${this.name}${formatLabels(this.labelNames, series.values)} ${series.value}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames, maxSeries) {
+        super('counter', name, help, labelNames, maxSeries);
+    }
+
+    inc(labels, value = 1) {
+        this.getSeries(labels).value += value;
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, labelNames, maxSeries) {
+        super('gauge', name, help, labelNames, maxSeries);
+    }
+
+    set(labels, value) {
+        this.getSeries(labels).value = value;
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, maxSeries, buckets) {
+        super('histogram', name, help, labelNames, maxSeries);
+        this.buckets = buckets.slice().sort((a, b) => a - b);
+    }
+
+    createSeries(values) {
+        return { values, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    }
+
+    observe(labels, value) {
+        const series = this.getSeries(labels);
+
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) {
+                series.counts[i]++;
+            }
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    exposeSeries(series) {
+        const names = this.labelNames.concat('le');
+        const lines = this.buckets.map((bound, i) =>
+            `${this.name}_bucket${formatLabels(names, series.values.concat(String(bound)))} ${series.counts[i]}`);
+
+        lines.push(`${this.name}_bucket${formatLabels(names, series.values.concat('+Inf'))} ${series.count}`);
+        lines.push(`${this.name}_sum${formatLabels(this.labelNames, series.values)} ${series.sum}`);
+        lines.push(`${this.name}_count${formatLabels(this.labelNames, series.values)} ${series.count}`);
+
+        return lines;
+    }
+}
+
+/**
+ * Set of metrics exposed together in the Prometheus text format
+ */
+class MetricsRegistry {
+    /**
+     * @param {Object} [options] - Registry options
+     * @param {number} [options.maxSeries] - Series kept per metric before
+     *   capped labels are collapsed (defaults to 1000)
+     */
+    constructor(options = {}) {
+        this.maxSeries = options.maxSeries || DEFAULT_OPTIONS.maxSeries;
+        this.metrics = new Map();
+    }
+
+    counter(name, help, labelNames = []) {
+        return this.register(new Counter(name, help, labelNames, this.maxSeries));
+    }
+
+    gauge(name, help, labelNames = []) {
+        return this.register(new Gauge(name, help, labelNames, this.maxSeries));
+    }
+
+    histogram(name, help, labelNames = [], buckets = DEFAULT_OPTIONS.buckets) {
+        return this.register(new Histogram(name, help, labelNames, this.maxSeries, buckets));
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    getMetric(name) {
+        return this.metrics.get(name) || null;
+    }
+
+    /**
+     * Formats every metric in the Prometheus text format
+     * @returns {string} Exposition
+     */
+    expose() {
+        return Array.from(this.metrics.values(), (metric) => metric.expose()).join('\n') + '\n';
+    }
+}
+
+/**
+ * Metrics of an UpstreamSocks server. Connection metrics get `user` and
+ * `upstream` labels only when listed in the labels option, per-upstream
+ * metrics always have the `upstream` label.
+ */
+class ProxyMetrics {
+    /**
+     * @param {Object} [options] - Metrics options (see DEFAULT_OPTIONS)
+     * @param {number} [options.port] - Port of the built-in HTTP endpoint,
+     *   none when absent
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.registry = new MetricsRegistry({ maxSeries: this.options.maxSeries });
+        this.labels = this.options.labels.filter((label) => CAPPED_LABELS.includes(label));
+        this.httpServer = null;
+
+        const { prefix, buckets } = this.options;
+        const registry = this.registry;
+
+        this.activeConnections = registry.gauge(`${prefix}active_connections`,
+            'Client connections currently open');
+        this.acceptedConnections = registry.counter(`${prefix}connections_accepted_total`,
+            'Connections established to their destination', this.labels);
+        this.deniedConnections = registry.counter(`${prefix}connections_denied_total`,
+            'Connections refused by authentication, limits, quotas or prepareRequestFunction',
+            ['reason'].concat(this.labels));
+        this.failedConnections = registry.counter(`${prefix}connections_failed_total`,
+            'Connections that could not reach their destination', ['reason'].concat(this.labels));
+        this.handshakeDuration = registry.histogram(`${prefix}handshake_duration_seconds`,
+            'Time from the client connecting to its request being parsed', [], buckets);
+        this.upstreamConnectDuration = registry.histogram(`${prefix}upstream_connect_duration_seconds`,
+            'Time to open a tunnel through an upstream', ['upstream'], buckets);
+        this.upstreamAttempts = registry.counter(`${prefix}upstream_attempts_total`,
+            'Connection attempts through each upstream', ['upstream']);
+        this.upstreamErrors = registry.counter(`${prefix}upstream_errors_total`,
+            'Failed connection attempts through each upstream', ['upstream', 'category']);
+        this.authFailures = registry.counter(`${prefix}auth_failures_total`,
+            'Rejected client credentials', this.labels.filter((label) => label === 'user'));
+        this.bytes = registry.counter(`${prefix}bytes_total`,
+            'Bytes relayed, by direction (srcRx, srcTx, trgRx or trgTx)', ['direction'].concat(this.labels));
+    }
+
+    /**
+     * Picks the optional labels of a connection
+     * @param {Object} labels - user and upstream values
+     * @returns {Object} Labels enabled by the labels option
+     */
+    connectionLabels(labels) {
+        const picked = {};
+
+        for (const label of this.labels) {
+            picked[label] = labels[label] || '';
+        }
+
+        return picked;
+    }
+
+    handshake(seconds) {
+        this.handshakeDuration.observe({}, seconds);
+    }
+
+    accepted(labels) {
+        this.acceptedConnections.inc(this.connectionLabels(labels));
+    }
+
+    /**
+     * Counts a request that could not be served, as denied or failed
+     * depending on its category
+     * @param {string} category - Error category (see ERROR_CATEGORY)
+     * @param {Object} labels - user and upstream values
+     */
+    requestFailed(category, labels) {
+        const counter = DENIAL_CATEGORIES.includes(category) ? this.deniedConnections : this.failedConnections;
+        counter.inc({ reason: category, ...this.connectionLabels(labels) });
+    }
+
+    authFailed(username) {
+        this.deniedConnections.inc({ reason: 'auth', ...this.connectionLabels({ user: username }) });
+        this.authFailures.inc(this.connectionLabels({ user: username }));
+    }
+
+    /**
+     * Counts the upstream attempts of a connection
+     * @param {Object[]} attempts - upstream, duration and, for failed ones,
+     *   category of each attempt
+     */
+    upstreamAttempted(attempts) {
+        for (const attempt of attempts) {
+            const upstream = formatUpstream(attempt.upstream);
+
+            this.upstreamAttempts.inc({ upstream });
+            if (attempt.error) {
+                this.upstreamErrors.inc({ upstream, category: attempt.category });
+            } else {
+                this.upstreamConnectDuration.observe({ upstream }, attempt.duration / 1000);
+            }
+        }
+    }
+
+    /**
+     * Adds bytes relayed by a connection
+     * @param {Object} counters - Byte counters by direction (srcRxBytes...)
+     * @param {Object} labels - user and upstream values
+     */
+    addBytes(counters, labels) {
+        for (const [name, bytes] of Object.entries(counters)) {
+            if (bytes > 0) {
+                this.bytes.inc({ direction: name.replace(/Bytes$/, ''), ...this.connectionLabels(labels) }, bytes);
+            }
+        }
+    }
+
+    /**
+     * Formats every metric in the Prometheus text format
+     * @returns {string} Exposition
+     */
+    expose() {
+        return this.registry.expose();
+    }
+
+    /**
+     * Starts the built-in HTTP endpoint, when a port is configured
+     * @returns {Promise} Resolves once listening
+     */
+    listen() {
+        if (this.options.port === undefined || this.httpServer) {
+            return Promise.resolve();
+        }
+
+        this.httpServer = http.createServer((req, res) => {
+            if (req.method !== 'GET' || req.url.split('?')[0] !== this.options.path) {
+                res.writeHead(404);
+                res.end();
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+            res.end(this.expose());
+        });
+
+        return new Promise((resolve, reject) => {
+            this.httpServer.once('error', reject);
+            this.httpServer.listen(this.options.port, this.options.host, () => {
+                this.httpServer.removeListener('error', reject);
+                resolve();
+            });
+        });
+    }
+
+    address() {
+        return this.httpServer ? this.httpServer.address() : null;
+    }
+
+    close() {
+        if (this.httpServer) {
+            this.httpServer.close();
+            this.httpServer = null;
+        }
+    }
+}
+
+/**
+ * Label value of an upstream or chain, e.g. `socks5://host:port`
+ * @param {Object|Object[]} upstream - Described upstream (see describeUpstream)
+ * @returns {string} Label value
+ */
+function formatUpstream(upstream) {
+    return [].concat(upstream || [])
+        .map(({ protocol, host, port }) => `${protocol}://${host}:${port}`)
+        .join('>');
+}
+
+function formatLabels(names, values) {
+    if (names.length === 0) {
+        return '';
+    }
+
+    const pairs = names.map((name, i) => `${name}="${escapeLabelValue(values[i])}"`);
+    return `{${pairs.join(',')}}`;
+}
+
+function escapeLabelValue(value) {
+    return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    MetricsRegistry,
+    ProxyMetrics,
+    formatUpstream
+};
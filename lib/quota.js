@@ -0,0 +1,271 @@
+const { EventEmitter } = require('events');
+
+const DEFAULT_OPTIONS = {
+    flushInterval: 5000
+};
+
+/**
+ * Default quota store, keeping the bytes used per username in memory.
+ * Stores persisting usage elsewhere (a database, Redis...) implement the same
+ * methods, which may return Promises.
+ */
+class MemoryQuotaStore {
+    constructor() {
+        this.usage = new Map();
+    }
+
+    /**
+     * @param {string} username - Username
+     * @returns {number} Bytes used so far
+     */
+    getUsage(username) {
+        return this.usage.get(username) || 0;
+    }
+
+    /**
+     * @param {string} username - Username
+     * @param {number} bytes - Bytes used since the last call
+     */
+    addUsage(username, bytes) {
+        this.usage.set(username, this.getUsage(username) + bytes);
+    }
+
+    /**
+     * Starts a new billing period for a user
+     * @param {string} username - Username
+     */
+    resetUsage(username) {
+        this.usage.delete(username);
+    }
+}
+
+/**
+ * Byte budgets per username. Users with open connections have an account
+ * holding their budget and usage, debited in real time as data goes through
+ * and written to the store every flushInterval and when their last
+ * connection closes. Users whose usage reaches their budget get their open
+ * connections destroyed, and new ones refused until the budget is raised or
+ * the usage reset.
+ *
+ * Emits `quotaExceeded` with the username, limit, used bytes, the ids of the
+ * connections concerned and the action (`refused` or `terminated`), and
+ * `error` when the store fails to save usage.
+ */
+class QuotaManager extends EventEmitter {
+    /**
+     * @param {Object} [options] - Quota options (see DEFAULT_OPTIONS)
+     * @param {Object} [options.store] - Usage store (see MemoryQuotaStore)
+     */
+    constructor(options = {}) {
+        super();
+
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.store = options.store || new MemoryQuotaStore();
+        this.accounts = new Map();
+        this.flushTimer = null;
+    }
+
+    /**
+     * Opens the account of a connection, loading the user's usage unless
+     * other connections of the user already did
+     * @param {string} username - Username
+     * @param {number} limit - Budget of the user in bytes
+     * @returns {Promise<Object>} The account, `exceeded` when the budget is
+     *   exhausted
+     */
+    async open(username, limit) {
+        let account = this.accounts.get(username);
+
+        if (!account) {
+            account = {
+                username,
+                limit,
+                used: 0,
+                pending: 0,
+                exceeded: false,
+                connections: new Map()
+            };
+            account.ready = Promise.resolve()
+                .then(() => this.store.getUsage(username))
+                .then((used) => {
+                    account.used += Number(used) || 0;
+                });
+            this.accounts.set(username, account);
+
+            account.ready.catch(() => {
+                if (this.accounts.get(username) === account && account.connections.size === 0) {
+                    this.accounts.delete(username);
+                }
+            });
+        }
+
+        await account.ready;
+
+        account.limit = limit;
+        account.exceeded = account.used >= limit;
+
+        return account;
+    }
+
+    /**
+     * Counts a connection on its account until it closes
+     * @param {Object} account - Account (see open)
+     * @param {string} connectionId - Connection id
+     * @param {net.Socket} socket - Client socket, destroyed when the budget
+     *   is crossed
+     */
+    attach(account, connectionId, socket) {
+        if (!this.accounts.has(account.username)) {
+            this.accounts.set(account.username, account);
+        }
+        account.connections.set(connectionId, socket);
+
+        if (socket.destroyed) {
+            this.detach(account, connectionId);
+        } else {
+            socket.once('close', () => this.detach(account, connectionId));
+        }
+    }
+
+    detach(account, connectionId) {
+        account.connections.delete(connectionId);
+
+        if (account.connections.size === 0) {
+            // Kept until saved, so that new connections don't load stale usage
+            this.flushAccount(account).then(() => {
+                if (account.connections.size === 0 && this.accounts.get(account.username) === account) {
+                    this.accounts.delete(account.username);
+                }
+            });
+        }
+    }
+
+    /**
+     * Reports a connection refused because the budget is exhausted
+     * @param {Object} account - Account (see open)
+     * @param {string} connectionId - Connection id
+     */
+    refuse(account, connectionId) {
+        this.emit('quotaExceeded', {
+            username: account.username,
+            limit: account.limit,
+            used: account.used,
+            connectionIds: [connectionId],
+            action: 'refused'
+        });
+
+        if (account.connections.size === 0 && this.accounts.get(account.username) === account) {
+            this.accounts.delete(account.username);
+        }
+    }
+
+    /**
+     * Debits bytes from an account, terminating its connections when they
+     * cross the budget
+     * @param {Object} account - Account (see open)
+     * @param {number} bytes - Bytes that went through
+     */
+    debit(account, bytes) {
+        account.used += bytes;
+        account.pending += bytes;
+
+        if (account.exceeded || account.used < account.limit) {
+            return;
+        }
+
+        account.exceeded = true;
+        this.emit('quotaExceeded', {
+            username: account.username,
+            limit: account.limit,
+            used: account.used,
+            connectionIds: Array.from(account.connections.keys()),
+            action: 'terminated'
+        });
+
+        for (const socket of account.connections.values()) {
+            socket.closeReason = socket.closeReason || 'quota_exceeded';
+            socket.destroy();
+        }
+    }
+
+    /**
+     * Writes the usage not saved yet of an account to the store
+     * @param {Object} account - Account (see open)
+     * @returns {Promise} Resolved once saved
+     */
+    flushAccount(account) {
+        const bytes = account.pending;
+
+        if (bytes === 0) {
+            return Promise.resolve();
+        }
+
+        account.pending = 0;
+
+        return Promise.resolve()
+            .then(() => this.store.addUsage(account.username, bytes))
+            .catch((err) => {
+                // Kept for the next flush
+                account.pending += bytes;
+                this.emit('error', err);
+            });
+    }
+
+    flush() {
+        return Promise.all(Array.from(this.accounts.values(), (account) => this.flushAccount(account)));
+    }
+
+    /**
+     * Tells the usage of a user, including the bytes not saved yet
+     * @param {string} username - Username
+     * @returns {Promise<Object>} used bytes, and limit while the user has
+     *   open connections (null otherwise)
+     */
+    async getUsage(username) {
+        const account = this.accounts.get(username);
+
+        if (account) {
+            await account.ready;
+            return { used: account.used, limit: account.limit };
+        }
+
+        return { used: Number(await this.store.getUsage(username)) || 0, limit: null };
+    }
+
+    /**
+     * Starts a new billing period for a user
+     * @param {string} username - Username
+     * @returns {Promise} Resolved once reset in the store
+     */
+    async resetUsage(username) {
+        const account = this.accounts.get(username);
+
+        if (account) {
+            await account.ready.catch(() => {});
+            account.used = 0;
+            account.pending = 0;
+            account.exceeded = false;
+        }
+
+        await this.store.resetUsage(username);
+    }
+
+    start() {
+        if (this.flushTimer) {
+            return;
+        }
+        this.flushTimer = setInterval(() => this.flush(), this.options.flushInterval);
+        this.flushTimer.unref();
+    }
+
+    stop() {
+        clearInterval(this.flushTimer);
+        this.flushTimer = null;
+        return this.flush();
+    }
+}
+
+module.exports = {
+    MemoryQuotaStore,
+    QuotaManager
+};
@@ -0,0 +1,167 @@
+// Helpers for the HTTP proxy frontend of the SOCKS server
+const net = require('net');
+const { STATUS_CODES } = require('http');
+const { REP } = require('./constants');
+
+// Request headers only meant for the proxy, never forwarded to the origin
+const HOP_BY_HOP_HEADERS = [
+  'proxy-authorization',
+  'proxy-connection',
+  'connection',
+  'keep-alive'
+];
+
+const BUF_HTTP_CONNECT_SUCCESS = Buffer.from('HTTP/1.1 200 Connection Established\r\n\r\n');
+
+/**
+ * Build a bodyless HTTP response closing the connection
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} [headers] - Extra response headers
+ * @returns {Buffer} Response bytes
+ */
+function httpResponse(statusCode, headers) {
+  let head = 'HTTP/1.1 ' + statusCode + ' ' + STATUS_CODES[statusCode] + '\r\n';
+
+  if (headers) {
+    for (const name of Object.keys(headers)) {
+      head += name + ': ' + headers[name] + '\r\n';
+    }
+  }
+
+  head += 'Connection: close\r\nContent-Length: 0\r\n\r\n';
+
+  return Buffer.from(head);
+}
+
+/**
+ * Map a SOCKS5 reply code to the HTTP status sent to HTTP proxy clients
+ * @param {number} [rep] - SOCKS5 reply code, REP.DISALLOW when missing
+ * @returns {number} HTTP status code
+ */
+function statusForReply(rep) {
+  switch (rep) {
+    case undefined:
+    case REP.DISALLOW:
+      return 403;
+    case REP.TTLEXPIRED:
+      return 504;
+    case REP.CMDUNSUPP:
+      return 405;
+    case REP.ATYPUNSUPP:
+      return 400;
+    default:
+      return 502;
+  }
+}
+
+/**
+ * Parse the host:port authority of a CONNECT request
+ * @param {string} target - Request target
+ * @returns {Object|null} Destination host and port, null when invalid
+ */
+function parseAuthority(target) {
+  const m = /^(?:\[([^\]]+)\]|([^:\[\]]+)):(\d{1,5})$/.exec(target);
+  if (!m) {
+    return null;
+  }
+
+  const host = m[1] || m[2];
+  const port = +m[3];
+
+  if ((m[1] && net.isIP(host) !== 6) || port < 1 || port > 65535) {
+    return null;
+  }
+
+  return { host, port };
+}
+
+/**
+ * Parse the absolute URI of a plain (forwarded) HTTP proxy request
+ * @param {string} target - Request target
+ * @returns {Object|null} Destination host, port and origin-form path, null
+ *   when invalid
+ */
+function parseAbsoluteUri(target) {
+  let url;
+
+  try {
+    url = new URL(target);
+  } catch (err) {
+    return null;
+  }
+
+  if (url.protocol !== 'http:' || !url.hostname) {
+    return null;
+  }
+
+  return {
+    host: url.hostname.replace(/^\[(.*)\]$/, '$1'),
+    port: +url.port || 80,
+    path: url.pathname + url.search,
+    authority: url.host
+  };
+}
+
+/**
+ * Rewrite a proxied request head for the origin server: origin-form request
+ * line, proxy headers stripped and one request per connection
+ * @param {Object} req - Parsed request head
+ * @param {Object} uri - Result of parseAbsoluteUri()
+ * @returns {Buffer} Request head to send to the origin
+ */
+function rewriteRequestHead(req, uri) {
+  let head = req.method + ' ' + uri.path + ' HTTP/' + req.httpVersion + '\r\n';
+  let hasHost = false;
+
+  for (const [name, value] of req.rawHeaders) {
+    const lname = name.toLowerCase();
+    if (HOP_BY_HOP_HEADERS.indexOf(lname) !== -1) {
+      continue;
+    }
+    if (lname === 'host') {
+      hasHost = true;
+    }
+    head += name + ': ' + value + '\r\n';
+  }
+
+  if (!hasHost) {
+    head += 'Host: ' + uri.authority + '\r\n';
+  }
+
+  head += 'Connection: close\r\n\r\n';
+
+  return Buffer.from(head, 'latin1');
+}
+
+/**
+ * Extract Basic credentials from a Proxy-Authorization header
+ * @param {string} [header] - Header value
+ * @returns {Object|null} username and password, null when absent or invalid
+ */
+function parseProxyAuthorization(header) {
+  const m = /^Basic\s+([A-Za-z0-9+/=]+)$/i.exec(header || '');
+  if (!m) {
+    return null;
+  }
+
+  const decoded = Buffer.from(m[1], 'base64').toString('utf8');
+  const colon = decoded.indexOf(':');
+  if (colon === -1) {
+    return null;
+  }
+
+  return {
+    username: decoded.slice(0, colon),
+    password: decoded.slice(colon + 1)
+  };
+}
+
+module.exports = {
+  BUF_HTTP_CONNECT_SUCCESS,
+  httpResponse,
+  statusForReply,
+  parseAuthority,
+  parseAbsoluteUri,
+  rewriteRequestHead,
+  parseProxyAuthorization
+};
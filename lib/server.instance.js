@@ -1,142 +1,661 @@
 const { Server: SocksServer } = require('./server');
-const { SocksClient } = require("socks");
-const { Transform } = require('stream');
+const { associateUpstream } = require('./upstream');
+const { UpstreamPools, connectWithFailover, describeUpstream, normalizeMember } = require('./upstream.pool');
+const { UpstreamHealth } = require('./upstream.health');
+const { StickySessions } = require('./upstream.sessions');
+const { createUsernameParser } = require('./username');
+const { ConnectionLimits } = require('./limits');
+const { RateLimiter } = require('./throttle');
+const { QuotaManager } = require('./quota');
+const { ProxyMetrics, formatUpstream } = require('./metrics');
+const { createLogger } = require('./logger');
+const { normalizeAddress } = require('./server.udp');
+const { Transform, PassThrough } = require('stream');
 const { EventEmitter } = require('events');
+const { REP } = require('./constants');
+const { ERROR_CATEGORY, DENIAL_CATEGORIES, classifyDirectError, isUpstreamFailure } = require('./errors');
+
+// Close reasons of clients that never got their request through, reported in
+// connectionClosed events though never tracked
+const UNESTABLISHED_CLOSE_REASONS = ['handshake_timeout', 'auth_timeout', 'server_shutdown'];
 
 class UpstreamSocks extends EventEmitter {
     constructor(options = {}) {
         super();
         
-        this.port = options.port || 1080;
+        this.port = options.port ?? 1080;
         this.host = options.host || '0.0.0.0';
         this.verbose = options.verbose || false;
+        this.logger = createLogger(options.logger, this.verbose);
+        this.accessLog = options.accessLog || false;
         this.prepareRequestFunction = options.prepareRequestFunction || null;
+        this.authenticateFunction = options.authenticateFunction || null;
+        this.prepareRequestTimeout = options.prepareRequestTimeout ?? 30000;
         this.requireAuthentication = options.requireAuthentication || false;
+        this.httpProxy = options.httpProxy ?? true;
+        this.usernameParser = getUsernameParser(options.usernameParser);
+        this.maxConnectionsPerUser = options.maxConnectionsPerUser || 0;
+        this.maxConnectionsPerIp = options.maxConnectionsPerIp || 0;
+        this.handshakeTimeout = options.handshakeTimeout ?? 30000;
+        this.authTimeout = options.authTimeout || 0;
+        this.connectTimeout = options.connectTimeout ?? 30000;
+        this.idleTimeout = options.idleTimeout || 0;
+        this.lifetimeTimeout = options.lifetimeTimeout || 0;
         
         this.server = null;
+        this.closing = null;
         this.connections = new Map();
+        this.limits = new ConnectionLimits();
+        this.rateLimiter = new RateLimiter(options.rateLimit, options.userRateLimit);
+        this.connectionRateLimit = options.connectionRateLimit || null;
+        this.quotaProvider = options.quotaProvider || null;
+        this.usageInterval = options.usageInterval || 0;
+        this.usageTimer = null;
+        // Usage of the connections closed since the last usage event
+        this.closedUsage = [];
+
+        this.metrics = new ProxyMetrics(options.metrics || {});
+        this.metrics.activeConnections.onCollect((gauge) => gauge.set({}, this.getTotals().openConnections));
+        this.metrics.bytes.onCollect(() => {
+            for (const connection of this.connections.values()) {
+                this.meterBytes(connection);
+            }
+        });
+        this.quotas = new QuotaManager({ store: options.quotaStore, flushInterval: options.quotaFlushInterval });
+        this.quotas.on('quotaExceeded', (event) => {
+            this.logger.info(event, 'Quota exceeded');
+            this.emit('quotaExceeded', event);
+        });
+        this.quotas.on('error', (err) => {
+            this.logger.error({ err }, 'Failed to save quota usage');
+        });
+
+        // Passive health tracking is on unless healthCheck is false
+        this.health = options.healthCheck === false ? null : new UpstreamHealth(options.healthCheck || {});
+        this.pools = new UpstreamPools({
+            isHealthy: (key) => !this.health || this.health.isHealthy(key)
+        });
+
+        if (this.health) {
+            this.health.on('upstreamHealthChanged', (change) => {
+                this.logger[change.healthy ? 'info' : 'warn']({
+                    upstream: change.upstream,
+                    healthy: change.healthy,
+                    reason: change.reason,
+                    ejectedUntil: change.ejectedUntil
+                }, change.healthy ? 'Upstream restored' : 'Upstream ejected');
+                this.emit('upstreamHealthChanged', change);
+            });
+        }
+
+        // Session affinity is off unless stickySessions is set
+        this.sessions = null;
+        if (options.stickySessions) {
+            this.sessions = new StickySessions({
+                ...(options.stickySessions === true ? {} : options.stickySessions),
+                isHealthy: (key) => !this.health || this.health.isHealthy(key)
+            });
+            this.sessions.on('sessionEvicted', (eviction) => {
+                this.logger.debug({ session: eviction.key, upstream: eviction.upstream, reason: eviction.reason },
+                    'Session evicted');
+                this.emit('sessionEvicted', eviction);
+            });
+        }
     }
 
     async listen(callback) {
         return new Promise((resolve) => {
-            this.server = new SocksServer();
+            this.server = new SocksServer({
+                http: this.httpProxy,
+                handshakeTimeout: this.handshakeTimeout,
+                authTimeout: this.authTimeout,
+                connectTimeout: this.connectTimeout
+            });
             
             this.server.on('connection', (info, accept, deny, username, password, consumeBandwidth, connectionId) => {
                 const { dstAddr, dstPort } = info;
-                
-                if (this.verbose) {
-                    console.log(`[${connectionId}] New connection request to ${dstAddr}:${dstPort}`);
-                    console.log(`[${connectionId}] Username: ${username || 'undefined'}, Password: ${password ? '***' : 'undefined'}`);
+
+                if (info.socket.connectedAt) {
+                    this.metrics.handshake((Date.now() - info.socket.connectedAt) / 1000);
                 }
+                
+                this.logger.debug({
+                    connectionId,
+                    user: username,
+                    clientAddress: info.socket.remoteAddress,
+                    destination: { host: dstAddr, port: dstPort },
+                    command: info.cmd
+                }, 'New connection request');
 
-                try {
-                    const requestInfo = {
-                        username: username || '',
-                        password: password || '',
-                        hostname: dstAddr,
-                        port: dstPort,
-                        connectionId: connectionId
-                    };
-
-                    if (this.verbose) {
-                        console.log(`[${connectionId}] Calling prepareRequestFunction with:`, {
-                            ...requestInfo,
-                            password: requestInfo.password ? '***' : 'undefined'
-                        });
-                    }
+                // Usernames only come from the sub-negotiation, which already
+                // rejected those the parser can't parse
+                const parsedUsername = this.parseUsername(username);
 
-                    const result = this.prepareRequestFunction(requestInfo);
+                // Base username, for the events and metrics of the request
+                info.username = parsedUsername.username;
 
-                    if (this.verbose) {
-                        console.log(`[${connectionId}] prepareRequestFunction result:`, {
-                            ...result,
-                            upstreamProxy: result?.upstreamProxy ? 'present' : 'missing'
-                        });
-                    }
+                const requestInfo = {
+                    ...parsedUsername,
+                    password: password || '',
+                    hostname: dstAddr,
+                    port: dstPort,
+                    connectionId: connectionId,
+                    clientAddress: normalizeAddress(info.socket.remoteAddress),
+                    command: info.cmd,
+                    protocol: info.protocol,
+                    version: info.version,
+                    userId: info.userId
+                };
 
-                    this.handleAuthenticatedConnection(result, info, accept, deny, consumeBandwidth, connectionId);
-                } catch (err) {
-                    console.error(`[${connectionId}] Error in prepareRequestFunction:`, err);
-                    deny();
-                }
+                this.logger.debug({ connectionId, request: requestInfo }, 'Calling prepareRequestFunction');
+
+                // The client socket stays paused (the parser stops reading after the
+                // request) until the connection is either accepted or denied
+                this.prepareRequest(requestInfo)
+                    .then((result) => {
+                        this.logger.debug({ connectionId, result: summarizeResult(result) }, 'prepareRequestFunction result');
+
+                        if (info.socket.destroyed) {
+                            this.logger.debug({ connectionId }, 'Client went away while preparing the request');
+                            return;
+                        }
+
+                        this.handleAuthenticatedConnection(result || {}, info, accept, deny, consumeBandwidth, connectionId, requestInfo);
+                    })
+                    .catch((reason) => {
+                        const rep = getReplyCode(reason);
+                        // Rejections with anything but an Error, or no reason at all
+                        const err = reason instanceof Error ? reason : new Error(String(reason));
+                        deny(rep);
+                        this.emitRequestFailed(connectionId, info, null, err, ERROR_CATEGORY.PREPARE_REQUEST, rep);
+                    });
             });
 
+            if (this.health) {
+                this.health.start();
+            }
+            if (this.sessions) {
+                this.sessions.start();
+            }
+            this.quotas.start();
+            if (this.usageInterval > 0) {
+                this.usageTimer = setInterval(() => this.emitUsage(), this.usageInterval);
+                this.usageTimer.unref();
+            }
+
             this.server.listen(this.port, this.host, () => {
-                if (this.verbose) {
-                    console.log(`Proxy server is listening on ${this.host}:${this.port}`);
-                }
-                if (callback) callback();
-                resolve(this);
+                this.logger.info({ host: this.host, port: this.server.address().port }, 'Proxy server listening');
+                this.metrics.listen()
+                    .catch((err) => {
+                        this.logger.error({ err }, 'Metrics endpoint error');
+                    })
+                    .then(() => {
+                        if (callback) callback();
+                        resolve(this);
+                    });
             });
 
             this.setupEventListeners();
         });
     }
 
-    handleAuthenticatedConnection(result, info, accept, deny, consumeBandwidth, connectionId) {
+    /**
+     * Runs prepareRequestFunction, which may return a plain object or a Promise,
+     * bounded by prepareRequestTimeout (0 disables the timeout).
+     * @param {Object} requestInfo - Request information passed to prepareRequestFunction
+     * @returns {Promise<Object>} The prepareRequestFunction result
+     */
+    prepareRequest(requestInfo) {
+        return new Promise((resolve, reject) => {
+            let timer = null;
+
+            if (this.prepareRequestTimeout > 0) {
+                timer = setTimeout(() => {
+                    const err = new Error(`prepareRequestFunction timed out after ${this.prepareRequestTimeout}ms`);
+                    err.code = 'ETIMEDOUT';
+                    reject(err);
+                }, this.prepareRequestTimeout);
+            }
+
+            Promise.resolve()
+                .then(() => this.prepareRequestFunction(requestInfo))
+                .then(resolve, reject)
+                .finally(() => clearTimeout(timer));
+        });
+    }
+
+    handleAuthenticatedConnection(result, info, accept, deny, consumeBandwidth, connectionId, requestInfo) {
         const { dstAddr, dstPort } = info;
 
         if (result.requestAuthentication) {
-            if (this.verbose) {
-                console.log(`[${connectionId}] Authentication required for ${dstAddr}:${dstPort}`);
-            }
+            this.logger.debug({ connectionId, destination: { host: dstAddr, port: dstPort } }, 'Authentication required');
+            this.metrics.requestFailed(ERROR_CATEGORY.PREPARE_REQUEST, { user: info.username });
             deny();
             return;
         }
 
-        this.handleSocksUpstreamProxy(result.upstreamProxy, info, accept, deny, consumeBandwidth, connectionId);
+        this.openQuota(result, requestInfo)
+            .then((quota) => {
+                if (quota) {
+                    if (quota.exceeded) {
+                        this.refuseQuota(quota, info, deny, connectionId);
+                        return;
+                    }
+                    this.quotas.attach(quota, connectionId, info.socket);
+                    consumeBandwidth = this.debitQuota(quota, consumeBandwidth);
+                }
+
+                if (info.socket.destroyed) {
+                    return;
+                }
+
+                this.routeConnection(result, info, accept, deny, consumeBandwidth, connectionId, requestInfo);
+            }, (err) => {
+                deny(REP.GENFAIL);
+                this.emitRequestFailed(connectionId, info, null, err, ERROR_CATEGORY.INTERNAL, REP.GENFAIL);
+            });
     }
 
-    handleSocksUpstreamProxy(upstreamProxy, info, accept, deny, consumeBandwidth, connectionId) {
+    /**
+     * Applies limits, rate limits and routing (direct, upstream or pool) to
+     * an authenticated connection within its quota
+     */
+    routeConnection(result, info, accept, deny, consumeBandwidth, connectionId, requestInfo) {
+        if (this.denyWhileClosing(info, deny, connectionId)) {
+            return;
+        }
+
+        if (!this.admitConnection(result, info, deny, connectionId, requestInfo)) {
+            return;
+        }
+
+        this.startTimeouts(result, info);
+
+        const throttle = this.rateLimiter.createThrottle(requestInfo.username,
+            result.rateLimit || this.connectionRateLimit, result.userRateLimit);
+        info.socket.once('close', () => throttle.close());
+
+        // upstreamProxy is either a single upstream or an ordered chain of hops,
+        // upstreamPool a set of them to pick from and fail over to
+        const upstreamProxies = [].concat(result.upstreamProxy || []);
+        let members = upstreamProxies.length ? [normalizeMember(upstreamProxies)] : [];
+
+        if (result.upstreamPool) {
+            try {
+                members = this.pools.order(result.upstreamPool);
+            } catch (err) {
+                deny(REP.GENFAIL);
+                this.emitRequestFailed(connectionId, info, null, err, ERROR_CATEGORY.PREPARE_REQUEST, REP.GENFAIL);
+                return;
+            }
+        }
+
+        if (members.length === 0) {
+            this.handleDirectConnection(info, accept, consumeBandwidth, connectionId, throttle, requestInfo);
+            return;
+        }
+
+        // Sessions go through the member they are pinned to first
+        const session = this.sessions ? this.sessions.resolve(requestInfo, result) : null;
+        if (session) {
+            members = this.sessions.order(session, members);
+        }
+
+        if (info.cmd === 'udp') {
+            this.handleUdpUpstreamProxy(members[0].hops, info, accept, deny, consumeBandwidth, connectionId, requestInfo);
+            return;
+        }
+
+        // The proxy listens itself for BIND peers, upstreams can't be involved
+        if (info.cmd === 'bind') {
+            const err = new Error('BIND cannot go through an upstream proxy');
+            deny(REP.CMDUNSUPP);
+            this.emitRequestFailed(connectionId, info, members[0].hops, err, ERROR_CATEGORY.UNSUPPORTED, REP.CMDUNSUPP);
+            return;
+        }
+
+        this.handleUpstreamProxy(members, result.upstreamPool || {}, session, info, accept, deny, consumeBandwidth, connectionId, throttle,
+            requestInfo);
+    }
+
+    /**
+     * Counts the connection towards the concurrent connection caps of its
+     * user and IP address until the client goes away, or denies it when it
+     * would go over one of them
+     * @returns {boolean} Whether the connection was admitted
+     */
+    admitConnection(result, info, deny, connectionId, requestInfo) {
+        const { username } = requestInfo;
+        const clientAddress = normalizeAddress(info.socket.remoteAddress);
+        const exceeded = this.limits.acquire(username, clientAddress, {
+            perUser: result.maxConnectionsPerUser ?? this.maxConnectionsPerUser,
+            perIp: result.maxConnectionsPerIp ?? this.maxConnectionsPerIp
+        });
+
+        if (exceeded) {
+            const err = new Error(`Too many concurrent connections for ${exceeded.limit === 'user' ? username : clientAddress} ` +
+                `(${exceeded.current}/${exceeded.max})`);
+            deny(REP.DISALLOW);
+            this.emit('limitExceeded', { connectionId, username, clientAddress, ...exceeded });
+            this.emitRequestFailed(connectionId, info, null, err, ERROR_CATEGORY.LIMIT_EXCEEDED, REP.DISALLOW);
+            return false;
+        }
+
+        info.socket.once('close', () => this.limits.release(username, clientAddress));
+        return true;
+    }
+
+    /**
+     * Denies requests that would open a tunnel while the server drains its
+     * connections (see close), like the clients still in their handshake
+     * @returns {boolean} Whether the request was denied
+     */
+    denyWhileClosing(info, deny, connectionId) {
+        if (!this.closing) {
+            return false;
+        }
+
+        this.logger.debug({ connectionId }, 'Request denied, server shutting down');
+        if (!info.socket.closeReason) {
+            info.socket.closeReason = 'server_shutdown';
+        }
+        deny(REP.GENFAIL);
+        return true;
+    }
+
+    /**
+     * Closes the connection once idle for idleTimeout, and lifetimeTimeout
+     * after it was admitted (both overridable per request). UDP associations
+     * have no idle timeout, their control connection carries no data.
+     */
+    startTimeouts(result, info) {
+        const { socket } = info;
+        const idleTimeout = result.idleTimeout ?? this.idleTimeout;
+        const lifetimeTimeout = result.lifetimeTimeout ?? this.lifetimeTimeout;
+
+        if (idleTimeout > 0 && info.cmd !== 'udp') {
+            socket.setTimeout(idleTimeout, () => this.closeConnection(socket, 'idle_timeout'));
+        }
+
+        if (lifetimeTimeout > 0) {
+            const timer = setTimeout(() => this.closeConnection(socket, 'lifetime_timeout'), lifetimeTimeout);
+            socket.once('close', () => clearTimeout(timer));
+        }
+    }
+
+    /**
+     * Closes a client connection, reporting the reason in its
+     * connectionClosed stats unless it was already closing for another one
+     * @param {net.Socket} socket - Client socket
+     * @param {string} reason - Close reason
+     */
+    closeConnection(socket, reason) {
+        if (!socket.closeReason) {
+            socket.closeReason = reason;
+        }
+        socket.destroy();
+    }
+
+    /**
+     * Opens the quota account of the user of a request, with the budget
+     * returned by prepareRequestFunction or else by the quotaProvider
+     * @returns {Promise<Object|null>} The account (see QuotaManager.open),
+     *   null without username or budget
+     */
+    async openQuota(result, requestInfo) {
+        const { username } = requestInfo;
+        let limit = result.quota;
+
+        if (!username) {
+            return null;
+        }
+
+        if (limit === undefined && this.quotaProvider) {
+            limit = await this.quotaProvider(requestInfo);
+        }
+
+        if (limit === undefined || limit === null) {
+            return null;
+        }
+
+        return this.quotas.open(username, Number(limit));
+    }
+
+    refuseQuota(quota, info, deny, connectionId) {
+        const err = new Error(`Quota of ${quota.username} exhausted (${quota.used}/${quota.limit} bytes)`);
+
+        deny(REP.DISALLOW);
+        this.quotas.refuse(quota, connectionId);
+        this.emitRequestFailed(connectionId, info, null, err, ERROR_CATEGORY.QUOTA_EXCEEDED, REP.DISALLOW);
+    }
+
+    /**
+     * Wraps the bandwidth accounting of a connection to also debit the
+     * quota with the bytes exchanged with the client
+     * @param {Object} quota - Quota account (see QuotaManager.open)
+     * @param {Function} consumeBandwidth - Bandwidth accounting of the connection
+     * @returns {Function} Bandwidth accounting debiting the quota
+     */
+    debitQuota(quota, consumeBandwidth) {
+        return (direction, bytes) => {
+            consumeBandwidth(direction, bytes);
+
+            if (direction === 'srcRxBytes' || direction === 'srcTxBytes') {
+                this.quotas.debit(quota, bytes);
+            }
+        };
+    }
+
+    handleDirectConnection(info, accept, consumeBandwidth, connectionId, throttle, requestInfo) {
+        const { dstAddr, dstPort } = info;
+
+        this.logger.debug({ connectionId, destination: { host: dstAddr, port: dstPort } }, 'Connecting directly');
+
+        // The server relays the data itself and accounts bandwidth through the
+        // same counters used by setupStreamPiping
+        accept(false, (err, outbound) => {
+            if (err) {
+                this.emitRequestFailed(connectionId, info, null, err, classifyDirectError(err), err.rep);
+                return;
+            }
+
+            this.trackConnection(connectionId, {
+                hostname: dstAddr,
+                port: dstPort,
+                upstreamProxy: null,
+                hops: [],
+                udp: info.cmd === 'udp' ? outbound.stats : undefined,
+                throttle
+            }, requestInfo);
+        }, { throttle, consumeBandwidth });
+    }
+
+    /**
+     * Tunnels a connection through the first pool member that gets to the
+     * destination, failing over to the next ones on connect-phase failures.
+     * A plain upstreamProxy is a pool of one.
+     * @param {Object[]} members - Pool members in attempt order (see UpstreamPools.order)
+     * @param {Object} pool - maxAttempts and deadline of the pool
+     * @param {Object|null} session - Sticky session of the request (see StickySessions.resolve)
+     * @param {Object} throttle - Rate limiting of the connection (see RateLimiter)
+     */
+    handleUpstreamProxy(members, pool, session, info, accept, deny, consumeBandwidth, connectionId, throttle, requestInfo) {
         const { dstAddr, dstPort } = info;
         
-        const connectionOptions = {
-            proxy: {
-                ipaddress: upstreamProxy.host,
-                port: upstreamProxy.port,
-                type: 5,
-            },
-            command: "connect",
-            destination: { host: dstAddr, port: dstPort },
+        const options = {
+            maxAttempts: pool.maxAttempts,
+            deadline: pool.deadline,
+            timeout: this.connectTimeout,
+            onResult: (member, err) => {
+                if (this.health) {
+                    this.health.record(member, err);
+                }
+                if (session) {
+                    if (err && isUpstreamFailure(err)) {
+                        this.sessions.fail(session, member);
+                    } else if (!err) {
+                        this.sessions.pin(session, member);
+                    }
+                }
+            }
         };
 
-        if (upstreamProxy.auth) {
-            connectionOptions.proxy.userId = upstreamProxy.auth.username;
-            connectionOptions.proxy.password = upstreamProxy.auth.password;
-        }
+        connectWithFailover(members, { host: dstAddr, port: dstPort }, options)
+            .then(({ socket, hops, member, attempts }) => {
+                if (this.denyWhileClosing(info, deny, connectionId)) {
+                    socket.destroy();
+                    return;
+                }
 
-        SocksClient.createConnection(connectionOptions)
-            .then(({ socket }) => {
                 const outbound = accept(true);
+
+                // The client went away while the upstream was connecting
+                if (!outbound) {
+                    this.logger.debug({ connectionId }, 'Client went away while connecting through the upstream');
+                    socket.destroy();
+                    return;
+                }
+
+                this.metrics.upstreamAttempted(attempts);
                 
                 // Track the connection immediately after accepting it
                 this.trackConnection(connectionId, { 
                     hostname: dstAddr, 
                     port: dstPort,
-                    upstreamProxy: upstreamProxy
-                });
-                
-                if (this.verbose) {
-                    console.log(`[${connectionId}] SOCKS upstream proxy connection established to ${dstAddr}:${dstPort}`);
-                }
+                    upstreamProxy: member.hops.length === 1 ? member.hops[0] : member.hops,
+                    upstreamKey: member.key,
+                    session: session ? session.key : undefined,
+                    hops,
+                    attempts,
+                    throttle
+                }, requestInfo);
                 
                 try {
-                    this.setupStreamPiping(outbound, socket, consumeBandwidth, connectionId);
+                    this.setupStreamPiping(outbound, socket, consumeBandwidth, connectionId, throttle);
                 } catch (err) {
-                    console.error(`[${connectionId}] Failed to setup stream piping:`, err.message);
+                    this.logger.error({ connectionId, err }, 'Failed to setup stream piping');
                     // Clean up the connection and close the socket
-                    this.connections.delete(connectionId);
+                    this.untrackConnection(connectionId);
                     socket.end();
                     outbound.end();
                 }
             })
             .catch((err) => {
-                console.error(`[${connectionId}] SOCKS upstream proxy connection error:`, err.message);
-                deny();
+                const attempts = err.attempts || [];
+                const failed = members[Math.max(0, attempts.length - 1)];
+
+                this.metrics.upstreamAttempted(attempts);
+
+                deny(err.rep);
+                this.emitRequestFailed(connectionId, info, failed.hops, err, err.category, err.rep);
             });
     }
     
-    setupStreamPiping(outbound, socket, consumeBandwidth, connectionId) {
+    /**
+     * Relays a UDP association through the UDP relay of a SOCKS5 upstream.
+     * Chains can't carry UDP, only a single upstream is supported.
+     */
+    handleUdpUpstreamProxy(upstreamProxies, info, accept, deny, consumeBandwidth, connectionId, requestInfo) {
+        const { dstAddr, dstPort } = info;
+
+        if (upstreamProxies.length > 1) {
+            const err = new Error('UDP ASSOCIATE cannot go through a chain of upstream proxies');
+            deny(REP.CMDUNSUPP);
+            this.emitRequestFailed(connectionId, info, upstreamProxies, err, ERROR_CATEGORY.UNSUPPORTED, REP.CMDUNSUPP);
+            return;
+        }
+
+        const [upstreamProxy] = upstreamProxies;
+        const start = Date.now();
+
+        associateUpstream(upstreamProxy, { timeout: this.connectTimeout })
+            .then((upstream) => {
+                const hops = [{
+                    host: upstreamProxy.host,
+                    port: upstreamProxy.port,
+                    protocol: 'socks5',
+                    duration: Date.now() - start
+                }];
+
+                upstream.socket.on('error', (err) => {
+                    this.logger.debug({ connectionId, err }, 'Upstream UDP control connection error');
+                });
+
+                if (info.socket.destroyed || this.denyWhileClosing(info, deny, connectionId)) {
+                    upstream.socket.destroy();
+                    return;
+                }
+
+                accept(false, (err, relay) => {
+                    if (err) {
+                        upstream.socket.destroy();
+                        this.emitRequestFailed(connectionId, info, upstreamProxies, err, ERROR_CATEGORY.INTERNAL, err.rep);
+                        return;
+                    }
+
+                    relay.useUpstream(upstream);
+
+                    this.trackConnection(connectionId, {
+                        hostname: dstAddr,
+                        port: dstPort,
+                        upstreamProxy,
+                        hops,
+                        udp: relay.stats
+                    }, requestInfo);
+                }, { consumeBandwidth });
+            })
+            .catch((err) => {
+                deny(err.rep);
+                this.emitRequestFailed(connectionId, info, upstreamProxies, err, err.category, err.rep);
+            });
+    }
+
+    /**
+     * Emits requestFailed for a request that could not be served. Upstreams
+     * are only described by host, port and protocol, credentials are left out.
+     * @param {string} connectionId - Connection ID
+     * @param {Object} info - Request info from the SOCKS server
+     * @param {Object[]|null} upstreamProxies - Upstream chain (the last one
+     *   attempted for pools), null when direct
+     * @param {Error} err - The error
+     * @param {string} category - Error category (see ERROR_CATEGORY)
+     * @param {number} [rep] - SOCKS5 reply code sent to the client
+     */
+    emitRequestFailed(connectionId, info, upstreamProxies, err, category, rep) {
+        let upstream = null;
+
+        if (upstreamProxies && upstreamProxies.length) {
+            const described = upstreamProxies.map(describeUpstream);
+            upstream = described.length === 1 ? described[0] : described;
+        }
+
+        this.metrics.requestFailed(category, { user: info.username, upstream: formatUpstream(upstream) });
+        // Policy denials are business as usual, connection failures are not
+        this.logger[DENIAL_CATEGORIES.includes(category) ? 'info' : 'warn']({
+            connectionId,
+            user: info.username,
+            destination: { host: info.dstAddr, port: info.dstPort },
+            upstream,
+            category,
+            rep,
+            err
+        }, 'Request failed');
+
+        this.emit('requestFailed', {
+            connectionId,
+            username: info.username,
+            command: info.cmd,
+            destination: { host: info.dstAddr, port: info.dstPort },
+            upstream,
+            hop: err ? err.hop : undefined,
+            attempts: err ? err.attempts : undefined,
+            category,
+            rep,
+            error: err
+        });
+    }
+
+    setupStreamPiping(outbound, socket, consumeBandwidth, connectionId, throttle) {
         try {
             // Create transform streams for bandwidth tracking
             const clientToProxyCapture = new Transform({
@@ -167,105 +686,195 @@ class UpstreamSocks extends EventEmitter {
                 }
             });
             
-            // Connect the streams
+            // Connect the streams, throttled between reception and transmission
+            const uploadThrottle = throttle ? throttle.createStream('upload') : new PassThrough();
+            const downloadThrottle = throttle ? throttle.createStream('download') : new PassThrough();
+
             outbound
                 .pipe(clientToProxyCapture)
+                .pipe(uploadThrottle)
                 .pipe(proxyToServerCapture)
                 .pipe(socket);
                 
             socket
                 .pipe(serverToProxyCapture)
+                .pipe(downloadThrottle)
                 .pipe(proxyToClientCapture)
                 .pipe(outbound);
 
+            outbound.once('close', () => {
+                uploadThrottle.destroy();
+                downloadThrottle.destroy();
+            });
+
+            // Whichever side ends first tells why the connection closed
+            outbound.once('end', () => {
+                outbound.closeReason = outbound.closeReason || 'client_closed';
+            });
+            socket.once('end', () => {
+                outbound.closeReason = outbound.closeReason || 'target_closed';
+            });
+
             // Handle errors
             socket.on("error", (err) => {
-                if (this.verbose) {
-                    console.error(`[${connectionId}] Socket error: ${err.message}`);
-                }
+                this.logger.debug({ connectionId, err }, 'Upstream socket error');
                 outbound.end();
             });
             
             outbound.on("error", (err) => {
-                if (this.verbose) {
-                    console.error(`[${connectionId}] Outbound error: ${err.message}`);
-                }
+                this.logger.debug({ connectionId, err }, 'Client socket error');
                 socket.end();
             });
         } catch (err) {
-            if (this.verbose) {
-                console.error(`[${connectionId}] Error setting up stream piping: ${err.message}`);
-            }
             // Clean up the connection if there's an error during setup
-            this.connections.delete(connectionId);
+            this.untrackConnection(connectionId);
             throw err;
         }
     }
 
-    trackConnection(connectionId, info) {
-        if (this.verbose) {
-            console.log(`[${connectionId}] Tracking connection to ${info.hostname}:${info.port}`);
+    /**
+     * Tracks an established connection until it closes
+     * @param {string} connectionId - Connection ID
+     * @param {Object} info - Destination, upstream and relay state of the connection
+     * @param {Object} requestInfo - Request info passed to prepareRequestFunction
+     */
+    trackConnection(connectionId, info, requestInfo) {
+        if (info.upstreamKey) {
+            this.pools.acquire(info.upstreamKey);
         }
-        
+
+        const upstream = info.upstreamProxy ? [].concat(info.upstreamProxy).map(describeUpstream) : null;
+        const labels = { user: requestInfo.username, upstream: formatUpstream(upstream) };
+
+        this.metrics.accepted(labels);
+
         this.connections.set(connectionId, {
             ...info,
+            labels,
+            username: requestInfo.username,
+            clientAddress: requestInfo.clientAddress,
+            command: requestInfo.command,
             startTime: Date.now(),
-            stats: {
-                srcRxBytes: 0,
-                srcTxBytes: 0,
-                trgRxBytes: 0,
-                trgTxBytes: 0
-            }
+            // Live counters of the SOCKS server, updated as data goes through
+            stats: this.server.getBandwidthStats(connectionId) || emptyStats(),
+            reported: emptyStats(),
+            metered: emptyStats()
         });
-        
-        if (this.verbose) {
-            console.log(`[${connectionId}] Connection tracked. Total connections: ${this.connections.size}`);
+
+        this.logger.debug({
+            connectionId,
+            user: requestInfo.username,
+            destination: { host: info.hostname, port: info.port },
+            upstream,
+            attempts: info.attempts ? info.attempts.length : undefined
+        }, 'Connection established');
+    }
+
+    /**
+     * Logs a tracked connection closing, as an access log record at the info
+     * level when accessLog is enabled
+     * @param {string} connectionId - Connection ID
+     * @param {Object} stats - Final stats of the connection
+     */
+    logConnectionClosed(connectionId, stats) {
+        const { username, clientAddress, command, hostname, port, upstream, session } = this.getConnection(connectionId);
+        const record = {
+            connectionId,
+            user: username,
+            clientAddress,
+            command,
+            destination: { host: hostname, port },
+            upstream,
+            session,
+            duration: stats.duration,
+            srcRxBytes: stats.srcRxBytes,
+            srcTxBytes: stats.srcTxBytes,
+            trgRxBytes: stats.trgRxBytes,
+            trgTxBytes: stats.trgTxBytes,
+            attempts: stats.attempts ? stats.attempts.length : undefined
+        };
+
+        if (this.accessLog) {
+            this.logger.info({ ...record, type: 'access' }, 'Connection closed');
+        } else {
+            this.logger.debug(record, 'Connection closed');
+        }
+    }
+
+    /**
+     * Stops tracking a connection, releasing its slot in the upstream
+     * connection counts used by least-connections pools
+     * @param {string} connectionId - Connection ID
+     */
+    untrackConnection(connectionId) {
+        const connection = this.connections.get(connectionId);
+
+        if (connection && connection.upstreamKey) {
+            this.pools.release(connection.upstreamKey);
         }
+        this.connections.delete(connectionId);
     }
 
     setupEventListeners() {
         this.server.on("error", (err) => {
-            console.error(`Proxy server error: ${err.message}`);
+            this.logger.error({ err }, 'Proxy server error');
             this.emit('error', err);
         });
         
         this.server.on("connectionClosed", (connectionId, stats) => {
-            if (this.verbose) {
-                console.log(`[${connectionId}] Connection closed event received with stats:`, stats);
-            }
-            
             const connection = this.connections.get(connectionId);
             if (connection) {
                 const finalStats = {
                     ...connection.stats,
                     ...stats,
-                    duration: Date.now() - connection.startTime
+                    duration: Date.now() - connection.startTime,
+                    hops: connection.hops
                 };
-                
-                if (this.verbose) {
-                    console.log(`[${connectionId}] Connection closed to ${connection.hostname}:${connection.port}`);
-                    console.log(`[${connectionId}] Final stats:`, finalStats);
+
+                // Packet counters of UDP associations
+                if (connection.udp) {
+                    finalStats.udp = { ...connection.udp };
+                }
+
+                if (connection.attempts) {
+                    finalStats.attempts = connection.attempts;
+                }
+
+                if (connection.session) {
+                    finalStats.session = connection.session;
+                }
+
+                this.meterBytes(connection);
+
+                if (this.usageTimer) {
+                    const usage = this.takeUsage(connectionId, connection);
+                    if (usage) {
+                        this.closedUsage.push({ ...usage, closed: true });
+                    }
                 }
                 
+                this.logConnectionClosed(connectionId, finalStats);
                 this.emit('connectionClosed', { connectionId, stats: finalStats });
-                this.connections.delete(connectionId);
-                
-                if (this.verbose) {
-                    console.log(`[${connectionId}] Connection removed. Total connections: ${this.connections.size}`);
-                }
+                this.untrackConnection(connectionId);
+            } else if (UNESTABLISHED_CLOSE_REASONS.includes(stats.closeReason)) {
+                this.logger.debug({ connectionId, reason: stats.closeReason }, 'Connection closed before its request');
+                this.emit('connectionClosed', { connectionId, stats: { ...stats, hops: [] } });
             } else {
-                if (this.verbose) {
-                    console.log(`[${connectionId}] Connection not found in tracking map. Available connections:`, Array.from(this.connections.keys()));
-                } else {
-                    console.log('Connection not found', connectionId);
-                }
+                // Denied requests and clients leaving during the handshake
+                this.logger.debug({ connectionId }, 'Connection closed before being established');
             }
         });
 
         if (this.requireAuthentication) {
             const UserPassword = require('./auth/UserPassword');
-            this.server.useAuth(UserPassword(async (username, password, connectionId, cb) => {
-                cb(true);
+            this.server.useAuth(UserPassword((username, password, connectionId, cb, socket) => {
+                this.authenticate({
+                    username,
+                    password,
+                    clientAddress: socket.remoteAddress,
+                    clientPort: socket.remotePort,
+                    connectionId
+                }).then(cb);
             }));
         } else {
             const None = require('./auth/None');
@@ -273,11 +882,439 @@ class UpstreamSocks extends EventEmitter {
         }
     }
 
-    close() {
-        if (this.server) {
-            this.server.close();
+    /**
+     * Validates client credentials during the username/password sub-negotiation.
+     * Usernames the usernameParser rejects fail; otherwise, without an
+     * authenticateFunction, every client is let through and the decision is
+     * left to prepareRequestFunction. authenticateFunction gets the parsed
+     * username (see parseUsername).
+     * @param {Object} authInfo - username, password, clientAddress, clientPort and connectionId
+     * @returns {Promise<boolean>} Whether the credentials were accepted
+     */
+    async authenticate(authInfo) {
+        const { username, clientAddress, connectionId } = authInfo;
+        let success = false;
+        let error = null;
+
+        try {
+            const parsedUsername = this.parseUsername(username);
+            success = !this.authenticateFunction
+                || Boolean(await this.authenticateFunction({ ...authInfo, ...parsedUsername }));
+        } catch (err) {
+            error = err;
+        }
+
+        if (!success) {
+            this.rejectUsername(username, clientAddress, connectionId, error);
+        }
+
+        return success;
+    }
+
+    /**
+     * Splits a username into the base username and its options with the
+     * usernameParser, when one is configured
+     * @param {string} username - Username sent by the client
+     * @returns {Object} username (base username), rawUsername and usernameOptions
+     * @throws {Error} When the username is invalid
+     */
+    parseUsername(username) {
+        const rawUsername = username || '';
+
+        if (!this.usernameParser || !rawUsername) {
+            return { username: rawUsername, rawUsername, usernameOptions: {} };
+        }
+
+        const parsed = this.usernameParser(rawUsername);
+
+        return {
+            username: parsed.username,
+            rawUsername,
+            usernameOptions: parsed.options || {}
+        };
+    }
+
+    rejectUsername(username, clientAddress, connectionId, error) {
+        this.logger.info({ connectionId, user: username, clientAddress, err: error }, 'Authentication failed');
+        this.metrics.authFailed(username);
+        this.emit('authFailed', { connectionId, username, clientAddress, error });
+    }
+
+    /**
+     * Changes the rate limits of an open connection
+     * @param {string} connectionId - Connection ID
+     * @param {Object} limits - upload and download in bytes per second (0 for
+     *   no limit) and burst in bytes
+     * @returns {boolean} false when the connection is not open
+     */
+    setConnectionRateLimit(connectionId, limits) {
+        const connection = this.connections.get(connectionId);
+
+        if (!connection || !connection.throttle) {
+            return false;
+        }
+        connection.throttle.setLimits(limits);
+        return true;
+    }
+
+    /**
+     * Changes the rate limits shared by all the connections of a user, open
+     * ones included
+     * @param {string} username - Username (the base username with a usernameParser)
+     * @param {Object} limits - upload, download and burst (see setConnectionRateLimit)
+     */
+    setUserRateLimit(username, limits) {
+        this.rateLimiter.setUserLimits(username, limits);
+    }
+
+    /**
+     * Changes the rate limits shared by all connections
+     * @param {Object} limits - upload, download and burst (see setConnectionRateLimit)
+     */
+    setGlobalRateLimit(limits) {
+        this.rateLimiter.setGlobalLimits(limits);
+    }
+
+    /**
+     * Counts the open connections of a user
+     * @param {string} username - Username (the base username with a usernameParser)
+     * @returns {number} Number of connections
+     */
+    getUserConnectionCount(username) {
+        return this.limits.getUserCount(username);
+    }
+
+    /**
+     * Counts the open connections from an IP address
+     * @param {string} address - Client IP address
+     * @returns {number} Number of connections
+     */
+    getIpConnectionCount(address) {
+        return this.limits.getIpCount(normalizeAddress(address));
+    }
+
+    /**
+     * Lists the health of every upstream seen so far (or registered through
+     * the healthCheck options)
+     * @returns {Object[]} key, upstream, healthy, consecutiveFailures, requests,
+     *   errorRate, ejections, ejectedUntil and lastError of each upstream
+     */
+    getUpstreamHealth() {
+        return this.health ? this.health.getHealth() : [];
+    }
+
+    /**
+     * Probes an upstream right away (see the healthCheck probe options)
+     * @param {Object|Object[]} upstreamProxy - Upstream or chain
+     * @returns {Promise<Object>} Resolves with its health (see getUpstreamHealth)
+     */
+    async checkUpstream(upstreamProxy) {
+        if (!this.health) {
+            throw new Error('Upstream health checking is disabled');
+        }
+        return this.health.probe(upstreamProxy);
+    }
+
+    /**
+     * Lists the live sticky sessions
+     * @returns {Object[]} key, upstream, createdAt, expiresAt and number of
+     *   connections of each session
+     */
+    getSessions() {
+        return this.sessions ? this.sessions.list() : [];
+    }
+
+    /**
+     * Counts the live sticky sessions
+     * @returns {number} Number of sessions
+     */
+    getSessionCount() {
+        return this.getSessions().length;
+    }
+
+    /**
+     * Describes an open connection, without upstream credentials
+     * @param {string} connectionId - Connection ID
+     * @returns {Object|null} connectionId, username, clientAddress, command,
+     *   hostname, port, upstream, session, startTime, duration and live stats
+     *   (byte counters, and packet counters of UDP associations), null when
+     *   the connection is not open
+     */
+    getConnection(connectionId) {
+        const connection = this.connections.get(connectionId);
+
+        if (!connection) {
+            return null;
+        }
+
+        const { upstreamProxy } = connection;
+        const stats = { ...connection.stats };
+
+        if (connection.udp) {
+            stats.udp = { ...connection.udp };
+        }
+
+        return {
+            connectionId,
+            username: connection.username,
+            clientAddress: connection.clientAddress,
+            command: connection.command,
+            hostname: connection.hostname,
+            port: connection.port,
+            upstream: Array.isArray(upstreamProxy) ? upstreamProxy.map(describeUpstream)
+                : upstreamProxy ? describeUpstream(upstreamProxy) : null,
+            session: connection.session,
+            startTime: connection.startTime,
+            duration: Date.now() - connection.startTime,
+            stats
+        };
+    }
+
+    /**
+     * Lists the open connections
+     * @returns {Object[]} Connections (see getConnection)
+     */
+    getConnections() {
+        return Array.from(this.connections.keys(), (connectionId) => this.getConnection(connectionId));
+    }
+
+    /**
+     * Totals of every connection served by this instance
+     * @returns {Object} connections (served so far), openConnections and the
+     *   byte counters of all of them
+     */
+    getTotals() {
+        if (!this.server) {
+            return { connections: 0, openConnections: 0, ...emptyStats() };
         }
+        return this.server.getBandwidthTotals();
+    }
+
+    /**
+     * Takes the bytes a connection exchanged since they were last reported
+     * @returns {Object|null} connectionId, username and byte counters, null
+     *   when nothing went through
+     */
+    takeUsage(connectionId, connection) {
+        const delta = takeDelta(connection.stats, connection.reported);
+
+        return delta ? { connectionId, username: connection.username, ...delta } : null;
+    }
+
+    /**
+     * Adds the bytes a connection exchanged since it was last metered to the
+     * bytes metric
+     */
+    meterBytes(connection) {
+        const delta = takeDelta(connection.stats, connection.metered);
+
+        if (delta) {
+            this.metrics.addBytes(delta, connection.labels);
+        }
+    }
+
+    /**
+     * Formats the metrics in the Prometheus text format
+     * @returns {string} Exposition
+     */
+    getMetrics() {
+        return this.metrics.expose();
+    }
+
+    /**
+     * Emits the usage event with the bytes exchanged by each connection since
+     * the previous one, closed connections included
+     */
+    emitUsage() {
+        const connections = this.closedUsage;
+
+        this.closedUsage = [];
+        for (const [connectionId, connection] of this.connections) {
+            const usage = this.takeUsage(connectionId, connection);
+            if (usage) {
+                connections.push(usage);
+            }
+        }
+
+        if (connections.length > 0) {
+            this.emit('usage', { timestamp: Date.now(), interval: this.usageInterval, connections });
+        }
+    }
+
+    /**
+     * Tells the quota usage of a user, including the bytes of its open
+     * connections not saved to the quota store yet
+     * @param {string} username - Username
+     * @returns {Promise<Object>} used bytes, and limit while the user has
+     *   open connections (null otherwise)
+     */
+    getQuotaUsage(username) {
+        return this.quotas.getUsage(username);
+    }
+
+    /**
+     * Resets the quota usage of a user, e.g. at the start of a billing period
+     * @param {string} username - Username
+     * @returns {Promise} Resolves once reset in the quota store
+     */
+    resetQuotaUsage(username) {
+        return this.quotas.resetUsage(username);
+    }
+
+    /**
+     * Stops accepting connections and closes the ones still in their
+     * handshake (requests still being prepared or connecting are denied once
+     * ready, see denyWhileClosing), then lets open connections end by
+     * themselves for up to drainTimeout milliseconds before destroying the
+     * rest. Every connection gets its final connectionClosed event (close
+     * reason `server_shutdown` for the ones closed by the server), then the
+     * remaining usage is reported and saved.
+     * @param {Object} [options] - Close options
+     * @param {number} [options.drainTimeout] - Milliseconds to wait for open
+     *   connections (defaults to 30000, 0 to destroy them right away)
+     * @returns {Promise} Resolves once every connection is closed
+     */
+    close(options = {}) {
+        if (this.closing) {
+            return this.closing;
+        }
+
+        const drainTimeout = options.drainTimeout ?? 30000;
+
+        if (this.health) {
+            this.health.stop();
+        }
+        if (this.sessions) {
+            this.sessions.stop();
+        }
+
+        let drainTimer = null;
+        const drained = new Promise((resolve) => {
+            if (!this.server) {
+                resolve();
+                return;
+            }
+
+            this.server.shutdown(resolve);
+            this.logger.info({ openConnections: this.connections.size, drainTimeout }, 'Draining connections');
+
+            if (drainTimeout > 0) {
+                drainTimer = setTimeout(() => this.server.destroyConnections('server_shutdown'), drainTimeout);
+                drainTimer.unref();
+            } else {
+                this.server.destroyConnections('server_shutdown');
+            }
+        });
+
+        this.closing = drained
+            .then(() => {
+                clearTimeout(drainTimer);
+                if (this.usageTimer) {
+                    this.emitUsage();
+                }
+                clearInterval(this.usageTimer);
+                this.usageTimer = null;
+                this.metrics.close();
+                return this.quotas.stop();
+            })
+            .then(() => {
+                this.logger.info('Proxy server closed');
+            });
+
+        return this.closing;
+    }
+}
+
+/**
+ * Resolves the usernameParser option: a parser function, `true` for the
+ * default username grammar or the options of createUsernameParser()
+ * @param {Function|Object|boolean} [option] - usernameParser option
+ * @returns {Function|null} Username parser
+ */
+function getUsernameParser(option) {
+    if (!option) {
+        return null;
+    }
+    if (typeof option === 'function') {
+        return option;
+    }
+    return createUsernameParser(option === true ? {} : option);
+}
+
+/**
+ * Takes the difference between live byte counters and a snapshot of them,
+ * updating the snapshot
+ * @param {Object} stats - Live byte counters
+ * @param {Object} snapshot - Counters when last taken
+ * @returns {Object|null} Counters since the snapshot, null when nothing
+ *   went through
+ */
+function takeDelta(stats, snapshot) {
+    const delta = {};
+    let total = 0;
+
+    for (const direction of Object.keys(snapshot)) {
+        delta[direction] = stats[direction] - snapshot[direction];
+        snapshot[direction] = stats[direction];
+        total += delta[direction];
+    }
+
+    return total > 0 ? delta : null;
+}
+
+function emptyStats() {
+    return {
+        srcRxBytes: 0,
+        srcTxBytes: 0,
+        trgRxBytes: 0,
+        trgTxBytes: 0
+    };
+}
+
+/**
+ * Picks the routing decisions of a prepareRequestFunction result for the
+ * logs, leaving out whatever else the application put in it
+ * @param {Object} [result] - prepareRequestFunction result
+ * @returns {Object} Loggable summary
+ */
+function summarizeResult(result) {
+    if (!result || typeof result !== 'object') {
+        return result;
+    }
+
+    const { upstreamProxy, upstreamPool } = result;
+
+    return {
+        requestAuthentication: result.requestAuthentication,
+        upstream: upstreamProxy ? [].concat(upstreamProxy).map(describeUpstream) : undefined,
+        pool: upstreamPool ? {
+            name: upstreamPool.name,
+            strategy: upstreamPool.strategy,
+            size: (upstreamPool.upstreams || []).length
+        } : undefined,
+        sessionKey: result.sessionKey,
+        quota: result.quota,
+        maxConnectionsPerUser: result.maxConnectionsPerUser,
+        maxConnectionsPerIp: result.maxConnectionsPerIp,
+        idleTimeout: result.idleTimeout,
+        lifetimeTimeout: result.lifetimeTimeout
+    };
+}
+
+/**
+ * Maps an error raised while preparing a request to a SOCKS5 reply code.
+ * An explicit numeric `rep` property on the error always wins.
+ * @param {Error} err - The error
+ * @returns {number} SOCKS5 reply code
+ */
+function getReplyCode(err) {
+    if (err && typeof err.rep === 'number') {
+        return err.rep;
+    }
+    if (err && err.code === 'ETIMEDOUT') {
+        return REP.TTLEXPIRED;
     }
+    return REP.GENFAIL;
 }
 
 // Export the main class
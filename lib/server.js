@@ -6,8 +6,11 @@ const { EventEmitter } = require('events');
 
 // Local module imports
 const Parser = require('./server.parser');
+const HttpParser = require('./http.parser');
+const httpFrontend = require('./server.http');
+const { UdpRelay, normalizeAddress } = require('./server.udp');
 const { ipbytes } = require('./utils');
-const { ATYP, REP } = require('./constants');
+const { ATYP, REP, REP4 } = require('./constants');
 
 /**
  * Generates a random connection ID for tracking socket connections
@@ -18,9 +21,6 @@ function generateConnectionId() {
          Math.random().toString(36).substring(2, 15);
 }
 
-// Bandwidth tracking storage
-const connectionBandwidth = new Map();
-
 // Pre-defined response buffers
 const BUF_AUTH_NO_ACCEPT = new Buffer([0x05, 0xFF]);
 const BUF_REP_INTR_SUCCESS = new Buffer([
@@ -31,8 +31,21 @@ const BUF_REP_INTR_SUCCESS = new Buffer([
   0x00, 0x00, 0x00, 0x00,
   0x00, 0x00
 ]);
-const BUF_REP_DISALLOW = new Buffer([0x05, REP.DISALLOW]);
-const BUF_REP_CMDUNSUPP = new Buffer([0x05, REP.CMDUNSUPP]);
+const BUF_REP4_GRANTED = new Buffer([
+  0x00,
+  REP4.GRANTED,
+  0x00, 0x00,
+  0x00, 0x00, 0x00, 0x00
+]);
+const BUF_REP4_REJECTED = new Buffer([
+  0x00,
+  REP4.REJECTED,
+  0x00, 0x00,
+  0x00, 0x00, 0x00, 0x00
+]);
+
+// Method of the "no authentication" handler, the only one SOCKS4 clients can use
+const METHOD_NONE = 0x00;
 
 /**
  * SOCKS5 Server implementation
@@ -65,15 +78,29 @@ function Server(options, listener) {
     }
     
     ++self._connections;
+    self._sockets.add(socket);
     
     socket.once('close', function(had_err) {
       --self._connections;
+      self._sockets.delete(socket);
+      clearTimeout(socket.handshakeTimer);
+      clearTimeout(socket.authTimer);
       // Emit connectionClosed event when any socket is closed
       if (socket.connectionId) {
-        const stats = connectionBandwidth.get(socket.connectionId);
+        const stats = self._bandwidth.get(socket.connectionId);
+        if (stats) {
+          stats.duration = Date.now() - socket.connectedAt;
+          stats.closeReason = socket.closeReason || 'closed';
+        }
         self.emit('connectionClosed', socket.connectionId, stats);
         // Clean up bandwidth tracking
-        connectionBandwidth.delete(socket.connectionId);
+        self._bandwidth.delete(socket.connectionId);
+      }
+
+      if (self._onDrained && self._sockets.size === 0) {
+        const onDrained = self._onDrained;
+        self._onDrained = null;
+        onDrained();
       }
     });
     
@@ -101,8 +128,32 @@ function Server(options, listener) {
     ? options.debug 
     : undefined;
 
+  // HTTP proxy frontend on the same port, enabled unless explicitly disabled
+  this._http = !(options && options.http === false);
+
+  // Milliseconds for clients to get their request parsed, to authenticate,
+  // and for direct connections to reach their destination (0 for no limit)
+  this._handshakeTimeout = (options && options.handshakeTimeout) || 0;
+  this._authTimeout = (options && options.authTimeout) || 0;
+  this._connectTimeout = (options && options.connectTimeout) || 0;
+
   this._connections = 0;
   this.maxConnections = Infinity;
+
+  // Open client sockets, and the callback of shutdown() once none is left
+  this._sockets = new Set();
+  this._onDrained = null;
+
+  // Bandwidth of the open connections by connection ID, and totals of every
+  // connection served by this server
+  this._bandwidth = new Map();
+  this._totals = {
+    connections: 0,
+    srcTxBytes: 0,
+    srcRxBytes: 0,
+    trgTxBytes: 0,
+    trgRxBytes: 0,
+  };
 }
 
 // Inherit from EventEmitter
@@ -114,18 +165,63 @@ util.inherits(Server, EventEmitter);
  */
 Server.prototype._onConnection = function(socket) {
   const self = this;
-  const parser = new Parser(socket);
       
   // Generate a unique connection ID for this socket
   socket.connectionId = generateConnectionId();
+  socket.connectedAt = Date.now();
   
   // Initialize bandwidth tracking for this connection
-  connectionBandwidth.set(socket.connectionId, {
+  ++self._totals.connections;
+  self._bandwidth.set(socket.connectionId, {
     srcTxBytes: 0,
     srcRxBytes: 0,
     trgTxBytes: 0,
     trgRxBytes: 0,
   });
+
+  if (self._handshakeTimeout > 0) {
+    socket.handshakeTimer = setTimeout(function() {
+      closeSocket(socket, 'handshake_timeout');
+    }, self._handshakeTimeout);
+  }
+
+  // Sniff the first byte: requests starting like an HTTP method (uppercase
+  // letter) go to the HTTP proxy frontend when enabled, everything else is
+  // left to the SOCKS parser
+  socket.once('data', function(chunk) {
+    socket.pause();
+    socket.unshift(chunk);
+
+    if (self._http && chunk[0] >= 0x41 && chunk[0] <= 0x5A) {
+      self._onHttpConnection(socket);
+    } else {
+      self._onSocksConnection(socket);
+    }
+  });
+
+  /**
+   * Handle socket close event
+   */
+  function onClose() {
+    if (socket.dstSock && socket.dstSock.writable) {
+      socket.dstSock.end();
+    }
+    socket.dstSock = undefined;
+  }
+
+  socket
+    .on('error', onErrorNoop)
+    .on('end', onClose)
+    .on('close', onClose);
+};
+
+/**
+ * Handle a SOCKS4/SOCKS5 client connection
+ * @param {net.Socket} socket - Client socket connection
+ */
+Server.prototype._onSocksConnection = function(socket) {
+  const self = this;
+  const parser = new Parser(socket);
   
   parser
     .on('methods', function(methods) {
@@ -134,7 +230,9 @@ Server.prototype._onConnection = function(socket) {
       for (let a = 0, alen = auths.length; a < alen; ++a) {
         for (let m = 0, mlen = methods.length; m < mlen; ++m) {
           if (methods[m] === auths[a].METHOD) {
+            self._startAuthTimer(socket);
             auths[a].server(socket, function(result) {
+              clearTimeout(socket.authTimer);
               if (result === true) {
                 parser.authed = true;
                 parser.start();
@@ -156,98 +254,232 @@ Server.prototype._onConnection = function(socket) {
       socket.end(BUF_AUTH_NO_ACCEPT);
     })
     .on('request', function(reqInfo) {
-      if (reqInfo.cmd !== 'connect') {
-        return socket.end(BUF_REP_CMDUNSUPP);
+      const socks4 = (reqInfo.version === 4);
+
+      reqInfo.protocol = 'socks';
+
+      if (socks4 && !self._auths.some(function(auth) {
+        return auth.METHOD === METHOD_NONE;
+      })) {
+        return socket.end(BUF_REP4_REJECTED);
       }
 
-      // Store source connection information
-      reqInfo.srcAddr = socket.remoteAddress;
-      reqInfo.srcPort = socket.remotePort;
-      reqInfo.socket = socket;
+      // BIND and UDP ASSOCIATE are only served to SOCKS5 clients
+      if (reqInfo.cmd !== 'connect' && socks4) {
+        return socket.end(BUF_REP4_REJECTED);
+      }
 
-      let handled = false;
+      self._onRequest(socket, reqInfo);
+    })
+    .on('error', function(err) {
+      if (self._debug) {
+        self._debug('Parser error: ' + err.message);
+      }
+      if (socket.writable) {
+        socket.end();
+      }
+    });
+};
 
-      /**
-       * Consume bandwidth for a specific direction
-       * @param {string} direction - 'client' or 'server'
-       * @param {number} bytes - Number of bytes
-       */
-      function consumeBandwidth(direction, bytes) {
-        const bandwidth = connectionBandwidth.get(socket.connectionId);
-        if (!bandwidth) return;
+/**
+ * Handle an HTTP proxy client connection (CONNECT or absolute-URI requests)
+ * @param {net.Socket} socket - Client socket connection
+ */
+Server.prototype._onHttpConnection = function(socket) {
+  const self = this;
+  const parser = new HttpParser(socket);
 
-        bytes = Number(bytes) || 0;
-        if (bytes <= 0) return;
+  parser
+    .on('request', function(req) {
+      let dst;
+
+      if (req.method === 'CONNECT') {
+        dst = httpFrontend.parseAuthority(req.target);
+      } else {
+        dst = httpFrontend.parseAbsoluteUri(req.target);
+        if (dst) {
+          // The origin server gets the rewritten head ahead of the body
+          socket.unshift(httpFrontend.rewriteRequestHead(req, dst));
+        }
+      }
 
-        bandwidth[direction] += bytes;
+      if (!dst) {
+        return socket.end(httpFrontend.httpResponse(400));
       }
 
-      /**
-       * Accept the connection request
-       * @param {boolean} intercept - Whether to intercept the connection
-       * @returns {net.Socket} Socket if intercepted, undefined otherwise
-       */
-      function accept(intercept) {
-        if (handled) {
-          return;
-        }
-        
-        handled = true;
-        
-        if (socket.writable) {
-          if (intercept) {
-            socket.write(BUF_REP_INTR_SUCCESS);
-            socket.removeListener('error', onErrorNoop);
-            
-            process.nextTick(function() {
-              socket.resume();
-            });
-            
-            return socket;
-          } else {
-            proxySocket(socket, reqInfo);
+      const credentials = httpFrontend.parseProxyAuthorization(req.headers['proxy-authorization']);
+
+      self._startAuthTimer(socket);
+      self._authenticateHttp(socket, credentials, function(result) {
+        clearTimeout(socket.authTimer);
+        if (result !== true) {
+          if (socket.writable) {
+            socket.end(httpFrontend.httpResponse(407, {
+              'Proxy-Authenticate': 'Basic realm="proxy"'
+            }));
           }
+          return;
         }
+
+        self._onRequest(socket, {
+          protocol: 'http',
+          method: req.method,
+          cmd: 'connect',
+          srcAddr: undefined,
+          srcPort: undefined,
+          dstAddr: dst.host,
+          dstPort: dst.port
+        });
+      });
+    })
+    .on('error', function(err) {
+      if (self._debug) {
+        self._debug('HTTP parser error: ' + err.message);
+      }
+      if (socket.writable) {
+        socket.end(httpFrontend.httpResponse(400));
       }
+    });
+};
 
-      /**
-       * Deny the connection request
-       */
-      function deny() {
-        if (handled) {
-          return;
+/**
+ * Close the client socket when authentication takes longer than authTimeout
+ * @param {net.Socket} socket - Client socket connection
+ */
+Server.prototype._startAuthTimer = function(socket) {
+  if (this._authTimeout > 0) {
+    socket.authTimer = setTimeout(function() {
+      closeSocket(socket, 'auth_timeout');
+    }, this._authTimeout);
+  }
+};
+
+/**
+ * Authenticate an HTTP proxy client with the registered authentication
+ * methods, in registration order: "no authentication" lets anyone through,
+ * handlers able to verify username/password credentials check the
+ * Proxy-Authorization ones
+ * @param {net.Socket} socket - Client socket connection
+ * @param {Object|null} credentials - username and password, if provided
+ * @param {Function} cb - Called with true when authenticated
+ */
+Server.prototype._authenticateHttp = function(socket, credentials, cb) {
+  const auths = this._auths;
+
+  for (let a = 0, alen = auths.length; a < alen; ++a) {
+    if (auths[a].METHOD === METHOD_NONE) {
+      return cb(true);
+    }
+    if (credentials && typeof auths[a].verify === 'function') {
+      return auths[a].verify(socket, credentials.username, credentials.password, cb);
+    }
+  }
+
+  cb(false);
+};
+
+/**
+ * Handle a parsed (and authenticated) connection request, whatever the
+ * client protocol
+ * @param {net.Socket} socket - Client socket connection
+ * @param {Object} reqInfo - Connection request info
+ */
+Server.prototype._onRequest = function(socket, reqInfo) {
+  const self = this;
+
+  clearTimeout(socket.handshakeTimer);
+  socket.requested = true;
+
+  // Store source connection information
+  reqInfo.srcAddr = socket.remoteAddress;
+  reqInfo.srcPort = socket.remotePort;
+  reqInfo.socket = socket;
+
+  let handled = false;
+
+  /**
+   * Consume bandwidth for a specific direction
+   * @param {string} direction - 'client' or 'server'
+   * @param {number} bytes - Number of bytes
+   */
+  function consumeBandwidth(direction, bytes) {
+    const bandwidth = self._bandwidth.get(socket.connectionId);
+    if (!bandwidth) return;
+
+    bytes = Number(bytes) || 0;
+    if (bytes <= 0) return;
+
+    bandwidth[direction] += bytes;
+    self._totals[direction] += bytes;
+  }
+
+  /**
+   * Accept the connection request
+   * @param {boolean} intercept - Whether to intercept the connection
+   * @param {Function} [callback] - Called with (err, dstSock) once the
+   *   direct connection to the destination is established or has failed,
+   *   with (err, relay) once the UDP relay of a UDP ASSOCIATE request is
+   *   bound, or with (err, peerSock) once the peer of a BIND request has
+   *   connected (only when not intercepting)
+   * @param {Object} [options] - Relay options (only when not intercepting)
+   * @param {Object} [options.throttle] - Throttle of the relayed TCP data,
+   *   providing createStream('upload' or 'download')
+   * @param {Function} [options.consumeBandwidth] - Bandwidth accounting to
+   *   use instead of the connection's own (which it should call)
+   * @returns {net.Socket} Socket if intercepted, undefined otherwise
+   */
+  function accept(intercept, callback, options = {}) {
+    if (handled) {
+      return;
+    }
+    
+    handled = true;
+    
+    if (socket.writable) {
+      if (intercept) {
+        const bufrep = successReply(reqInfo);
+        if (bufrep) {
+          socket.write(bufrep);
         }
+        socket.removeListener('error', onErrorNoop);
         
-        handled = true;
+        process.nextTick(function() {
+          socket.resume();
+        });
         
-        if (socket.writable) {
-          socket.end(BUF_REP_DISALLOW);
-        }
-      }
-
-      if (self._events.connection) {
-        // Add username and password to the event parameters
-        self.emit('connection', reqInfo, accept, deny, socket.username, socket.password, consumeBandwidth, socket.connectionId);
-        return;
+        return socket;
+      } else {
+        proxyRequest(socket, reqInfo, options.consumeBandwidth || consumeBandwidth,
+                     callback || noop, options.throttle, self._connectTimeout);
       }
-
-      proxySocket(socket, reqInfo);
-    });
+    }
+  }
 
   /**
-   * Handle socket close event
+   * Deny the connection request
+   * @param {number} [rep] - SOCKS5 reply code, defaults to REP.DISALLOW
+   *   (SOCKS4 clients always get a plain rejection, HTTP clients the
+   *   closest status code)
    */
-  function onClose() {
-    if (socket.dstSock && socket.dstSock.writable) {
-      socket.dstSock.end();
+  function deny(rep) {
+    if (handled) {
+      return;
+    }
+    
+    handled = true;
+    
+    if (socket.writable) {
+      socket.end(errorReply(reqInfo, rep));
     }
-    socket.dstSock = undefined;
   }
 
-  socket
-    .on('error', onErrorNoop)
-    .on('end', onClose)
-    .on('close', onClose);
+  if (self._events.connection) {
+    // Add username and password to the event parameters
+    self.emit('connection', reqInfo, accept, deny, socket.username, socket.password, consumeBandwidth, socket.connectionId);
+    return;
+  }
+
+  proxyRequest(socket, reqInfo, consumeBandwidth, noop);
 };
 
 /**
@@ -289,6 +521,45 @@ Server.prototype.close = function(cb) {
   return this;
 };
 
+/**
+ * Stop accepting connections and close the ones that did not send their
+ * request yet, for a graceful shutdown. Connections past their handshake are
+ * left open until they end or destroyConnections() is called.
+ * @param {Function} [cb] - Called once every connection is closed
+ * @returns {Server} This server
+ */
+Server.prototype.shutdown = function(cb) {
+  if (this._srv.listening) {
+    this._srv.close();
+  }
+
+  for (const socket of this._sockets) {
+    if (!socket.requested) {
+      closeSocket(socket, 'server_shutdown');
+    }
+  }
+
+  if (cb) {
+    if (this._sockets.size === 0) {
+      process.nextTick(cb);
+    } else {
+      this._onDrained = cb;
+    }
+  }
+
+  return this;
+};
+
+/**
+ * Destroy every open connection
+ * @param {string} reason - Close reason reported in connectionClosed stats
+ */
+Server.prototype.destroyConnections = function(reason) {
+  for (const socket of this._sockets) {
+    closeSocket(socket, reason);
+  }
+};
+
 Server.prototype.ref = function() {
   this._srv.ref();
 };
@@ -303,7 +574,16 @@ Server.prototype.unref = function() {
  * @returns {Object|null} Bandwidth statistics or null if not found
  */
 Server.prototype.getBandwidthStats = function(connectionId) {
-  return connectionBandwidth.get(connectionId) || null;
+  return this._bandwidth.get(connectionId) || null;
+};
+
+/**
+ * Get bandwidth totals of every connection served by this server
+ * @returns {Object} Number of connections and byte counters, along with the
+ *   number of connections still open
+ */
+Server.prototype.getBandwidthTotals = function() {
+  return Object.assign({ openConnections: this._bandwidth.size }, this._totals);
 };
 
 // Exports
@@ -317,15 +597,179 @@ exports.createServer = function(opts, listener) {
  */
 function onErrorNoop(err) {}
 
+/**
+ * Record why a client connection is being closed, first reason wins
+ * @param {net.Socket} socket - Client socket
+ * @param {string} reason - Close reason reported in connectionClosed stats
+ */
+function setCloseReason(socket, reason) {
+  if (!socket.closeReason) {
+    socket.closeReason = reason;
+  }
+}
+
+/**
+ * Close a client connection for the given reason
+ * @param {net.Socket} socket - Client socket
+ * @param {string} reason - Close reason reported in connectionClosed stats
+ */
+function closeSocket(socket, reason) {
+  setCloseReason(socket, reason);
+  socket.destroy();
+}
+
+/**
+ * No-op callback
+ */
+function noop() {}
+
+/**
+ * Serve an accepted request: UDP ASSOCIATE requests get a UDP relay, BIND
+ * requests a listening socket, other requests a connection to the destination
+ * @param {net.Socket} socket - Client socket
+ * @param {Object} req - Connection request info
+ * @param {Function} consumeBandwidth - Bandwidth accounting for the connection
+ * @param {Function} cb - Called with (err, dstSock or relay) when ready or failed
+ * @param {Object} [throttle] - Throttle of the relayed TCP data (see pipeSockets)
+ * @param {number} [connectTimeout] - Milliseconds to reach the destination of
+ *   CONNECT requests (0 for no limit)
+ */
+function proxyRequest(socket, req, consumeBandwidth, cb, throttle, connectTimeout) {
+  if (req.cmd === 'udp') {
+    udpAssociate(socket, req, consumeBandwidth, cb);
+  } else if (req.cmd === 'bind') {
+    bindSocket(socket, req, consumeBandwidth, cb, throttle);
+  } else {
+    proxySocket(socket, req, consumeBandwidth, cb, throttle, connectTimeout);
+  }
+}
+
+/**
+ * Bind a UDP relay for a UDP ASSOCIATE request and reply with its address.
+ * The TCP connection then only controls the lifetime of the association.
+ * @param {net.Socket} socket - Client socket
+ * @param {Object} req - UDP ASSOCIATE request info
+ * @param {Function} consumeBandwidth - Bandwidth accounting for the connection
+ * @param {Function} cb - Called with (err, relay) once bound or failed
+ */
+function udpAssociate(socket, req, consumeBandwidth, cb) {
+  const relay = new UdpRelay(socket, req, consumeBandwidth);
+
+  relay.on('error', onErrorNoop);
+  relay.bind(function(err, address) {
+    if (err) {
+      handleProxyError(socket, req, err);
+      cb(err);
+      return;
+    }
+
+    if (!socket.writable) {
+      relay.close();
+      cb(new Error('Client connection closed before the UDP relay was bound'));
+      return;
+    }
+
+    socket.write(successReply(req, address));
+
+    // Nothing is expected on the control connection anymore
+    socket.resume();
+    cb(null, relay);
+  });
+}
+
+/**
+ * Listen for the peer of a BIND request: the first reply carries the address
+ * to connect to, the second one the address of the peer once connected. Only
+ * the first peer coming from the IP address of the request is accepted (any
+ * peer when that address is unspecified), others are dropped.
+ * @param {net.Socket} socket - Client socket
+ * @param {Object} req - BIND request info
+ * @param {Function} consumeBandwidth - Bandwidth accounting for the connection
+ * @param {Function} cb - Called with (err, peerSock) once the peer has
+ *   connected or listening failed
+ * @param {Object} [throttle] - Throttle of the relayed data (see pipeSockets)
+ */
+function bindSocket(socket, req, consumeBandwidth, cb, throttle) {
+  dns.lookup(req.dstAddr, function(err, expectedAddr) {
+    if (err) {
+      handleProxyError(socket, req, err);
+      cb(err);
+      return;
+    }
+
+    const anyPeer = /^(?:0\.0\.0\.0|[0:]+)$/.test(expectedAddr);
+    const listener = net.createServer();
+    let listening = false;
+
+    /**
+     * Stop waiting for the peer when the client goes away
+     */
+    function onClose() {
+      listener.close();
+    }
+
+    listener
+      .on('error', function(err) {
+        listener.close();
+        socket.removeListener('close', onClose);
+        handleProxyError(socket, req, err);
+        if (!listening) {
+          cb(err);
+        }
+      })
+      .on('connection', function(peerSock) {
+        if (!anyPeer && normalizeAddress(peerSock.remoteAddress) !== expectedAddr) {
+          peerSock.destroy();
+          return;
+        }
+
+        listener.close();
+        socket.removeListener('close', onClose);
+
+        if (!socket.writable) {
+          peerSock.destroy();
+          return;
+        }
+
+        socket.write(successReply(req, {
+          address: normalizeAddress(peerSock.remoteAddress),
+          port: peerSock.remotePort
+        }));
+
+        socket.dstSock = peerSock;
+        peerSock.on('error', onErrorNoop);
+        pipeSockets(socket, peerSock, consumeBandwidth, throttle);
+        cb(null, peerSock);
+      })
+      .listen(0, normalizeAddress(socket.localAddress), function() {
+        listening = true;
+
+        if (!socket.writable) {
+          listener.close();
+          return;
+        }
+
+        socket.once('close', onClose);
+        socket.write(successReply(req, listener.address()));
+      });
+  });
+}
+
 /**
  * Establish connection to destination server and setup proxy
  * @param {net.Socket} socket - Client socket
  * @param {Object} req - Connection request info
+ * @param {Function} consumeBandwidth - Bandwidth accounting for the connection
+ * @param {Function} cb - Called with (err, dstSock) on connect or failure
+ * @param {Object} [throttle] - Throttle of the relayed data (see pipeSockets)
+ * @param {number} [connectTimeout] - Milliseconds to reach the destination,
+ *   answered with TTL expired when exceeded (0 for no limit)
  */
-function proxySocket(socket, req) {
+function proxySocket(socket, req, consumeBandwidth, cb, throttle, connectTimeout) {
   dns.lookup(req.dstAddr, function(err, dstIP) {
     if (err) {
-      handleProxyError(socket, err);
+      handleProxyError(socket, req, err);
+      cb(err);
       return;
     }
 
@@ -334,41 +778,46 @@ function proxySocket(socket, req) {
      */
     function onError(err) {
       if (!connected) {
-        handleProxyError(socket, err);
+        clearTimeout(timer);
+        handleProxyError(socket, req, err);
+        cb(err);
       }
     }
 
     const dstSock = new net.Socket();
     let connected = false;
+    let timer = null;
 
     dstSock.setKeepAlive(false);
+
+    if (connectTimeout > 0) {
+      timer = setTimeout(function() {
+        const err = new Error('Connection to ' + req.dstAddr + ':' + req.dstPort +
+                              ' timed out after ' + connectTimeout + 'ms');
+        err.code = 'ETIMEDOUT';
+        err.rep = REP.TTLEXPIRED;
+        dstSock.destroy();
+        onError(err);
+      }, connectTimeout);
+    }
     
     dstSock
       .on('error', onError)
       .on('connect', function() {
         connected = true;
+        clearTimeout(timer);
         
         if (socket.writable) {
-          const localbytes = ipbytes(dstSock.localAddress);
-          const len = localbytes.length;
-          const bufrep = new Buffer(6 + len);
-          let p = 4;
-          
-          bufrep[0] = 0x05;
-          bufrep[1] = REP.SUCCESS;
-          bufrep[2] = 0x00;
-          bufrep[3] = (len === 4 ? ATYP.IPv4 : ATYP.IPv6);
-          
-          for (let i = 0; i < len; ++i, ++p) {
-            bufrep[p] = localbytes[i];
+          const bufrep = successReply(req, {
+            address: dstSock.localAddress,
+            port: dstSock.localPort
+          });
+          if (bufrep) {
+            socket.write(bufrep);
           }
-          
-          bufrep.writeUInt16BE(dstSock.localPort, p, true);
 
-          socket.write(bufrep);
-
-          socket.pipe(dstSock).pipe(socket);
-          socket.resume();
+          pipeSockets(socket, dstSock, consumeBandwidth, throttle);
+          cb(null, dstSock);
         } else if (dstSock.writable) {
           dstSock.end();
         }
@@ -380,31 +829,145 @@ function proxySocket(socket, req) {
 }
 
 /**
- * Handle errors during proxy connection setup
+ * Relay data between the client and the destination, with bandwidth accounting
  * @param {net.Socket} socket - Client socket
+ * @param {net.Socket} dstSock - Destination socket
+ * @param {Function} consumeBandwidth - Bandwidth accounting for the connection
+ * @param {Object} [throttle] - Throttle providing createStream('upload') for
+ *   the data going to the destination and createStream('download') for the
+ *   data coming back
+ */
+function pipeSockets(socket, dstSock, consumeBandwidth, throttle) {
+  socket.once('end', function() {
+    setCloseReason(socket, 'client_closed');
+  });
+  dstSock.once('end', function() {
+    setCloseReason(socket, 'target_closed');
+  });
+
+  // Data is relayed as is, so what one side receives the other transmits
+  socket.on('data', function(chunk) {
+    consumeBandwidth('srcRxBytes', chunk.length);
+    consumeBandwidth('trgTxBytes', chunk.length);
+  });
+  dstSock.on('data', function(chunk) {
+    consumeBandwidth('trgRxBytes', chunk.length);
+    consumeBandwidth('srcTxBytes', chunk.length);
+  });
+
+  if (throttle) {
+    const upload = throttle.createStream('upload');
+    const download = throttle.createStream('download');
+    socket.pipe(upload).pipe(dstSock).pipe(download).pipe(socket);
+    // Pending throttled data goes away with the sockets
+    socket.on('close', function() {
+      upload.destroy();
+      download.destroy();
+    });
+  } else {
+    socket.pipe(dstSock).pipe(socket);
+  }
+  socket.resume();
+}
+
+/**
+ * Build the success reply matching the client protocol
+ * @param {Object} req - Connection request info
+ * @param {Object} [bound] - Bound address and port (destination socket local
+ *   address or UDP relay address)
+ * @returns {Buffer|null} Reply bytes, null when nothing must be sent
+ */
+function successReply(req, bound) {
+  if (req.protocol === 'http') {
+    // Forwarded requests simply get the origin server response
+    return (req.method === 'CONNECT' ? httpFrontend.BUF_HTTP_CONNECT_SUCCESS : null);
+  }
+
+  if (req.version === 4) {
+    return BUF_REP4_GRANTED;
+  }
+
+  if (!bound) {
+    return BUF_REP_INTR_SUCCESS;
+  }
+
+  const localbytes = ipbytes(bound.address);
+  const len = localbytes.length;
+  const bufrep = new Buffer(6 + len);
+  let p = 4;
+  
+  bufrep[0] = 0x05;
+  bufrep[1] = REP.SUCCESS;
+  bufrep[2] = 0x00;
+  bufrep[3] = (len === 4 ? ATYP.IPv4 : ATYP.IPv6);
+  
+  for (let i = 0; i < len; ++i, ++p) {
+    bufrep[p] = localbytes[i];
+  }
+  
+  bufrep.writeUInt16BE(bound.port, p, true);
+
+  return bufrep;
+}
+
+/**
+ * Build the failure reply matching the client protocol
+ * @param {Object} req - Connection request info
+ * @param {number} [rep] - SOCKS5 reply code, defaults to REP.DISALLOW
+ * @returns {Buffer} Reply bytes
+ */
+function errorReply(req, rep) {
+  if (req.protocol === 'http') {
+    return httpFrontend.httpResponse(httpFrontend.statusForReply(rep));
+  }
+
+  if (req.version === 4) {
+    return BUF_REP4_REJECTED;
+  }
+
+  // A complete reply, with an empty bound address, as clients wait for one
+  return new Buffer([
+    0x05,
+    (typeof rep === 'number' ? rep : REP.DISALLOW),
+    0x00,
+    ATYP.IPv4,
+    0x00, 0x00, 0x00, 0x00,
+    0x00, 0x00
+  ]);
+}
+
+/**
+ * Handle errors during proxy connection setup. The reply code sent to the
+ * client is recorded in err.rep.
+ * @param {net.Socket} socket - Client socket
+ * @param {Object} req - Connection request info
  * @param {Error} err - Error object
  */
-function handleProxyError(socket, err) {
-  if (socket.writable) {
-    const errbuf = new Buffer([0x05, REP.GENFAIL]);
-    
-    if (err.code) {
-      switch (err.code) {
-        case 'ENOENT':
-        case 'ENOTFOUND':
-        case 'ETIMEDOUT':
-        case 'EHOSTUNREACH':
-          errbuf[1] = REP.HOSTUNREACH;
-          break;
-        case 'ENETUNREACH':
-          errbuf[1] = REP.NETUNREACH;
-          break;
-        case 'ECONNREFUSED':
-          errbuf[1] = REP.CONNREFUSED;
-          break;
-      }
+function handleProxyError(socket, req, err) {
+  let rep = REP.GENFAIL;
+
+  if (typeof err.rep === 'number') {
+    rep = err.rep;
+  } else if (err.code) {
+    switch (err.code) {
+      case 'ENOENT':
+      case 'ENOTFOUND':
+      case 'ETIMEDOUT':
+      case 'EHOSTUNREACH':
+        rep = REP.HOSTUNREACH;
+        break;
+      case 'ENETUNREACH':
+        rep = REP.NETUNREACH;
+        break;
+      case 'ECONNREFUSED':
+        rep = REP.CONNREFUSED;
+        break;
     }
-    
-    socket.end(errbuf);
   }
-}
\ No newline at end of file
+
+  err.rep = rep;
+
+  if (socket.writable) {
+    socket.end(errorReply(req, rep));
+  }
+}
@@ -12,7 +12,16 @@ var STATE_VERSION = 0,
     STATE_REQ_ATYP = 5,
     STATE_REQ_DSTADDR = 6,
     STATE_REQ_DSTADDR_VARLEN = 7,
-    STATE_REQ_DSTPORT = 8;
+    STATE_REQ_DSTPORT = 8,
+    // SOCKS4/4a
+    STATE_V4_CMD = 9,
+    STATE_V4_DSTPORT = 10,
+    STATE_V4_DSTIP = 11,
+    STATE_V4_USERID = 12,
+    STATE_V4_HOSTNAME = 13;
+
+// Limit for the NUL-terminated USERID and HOSTNAME fields of SOCKS4 requests
+var MAX_V4_FIELD_LEN = 255;
 
 function Parser(stream) {
   var self = this;
@@ -31,6 +40,8 @@ function Parser(stream) {
   this._dstaddr = undefined;
   this._dstaddrp = 0;
   this._dstport = undefined;
+  this._userid = undefined;
+  this._hostname = undefined;
 
   this.authed = false;
 
@@ -56,6 +67,11 @@ Parser.prototype._onData = function(chunk) {
         +----+----------+----------+
       */
       case STATE_VERSION:
+        if (chunk[i] === 0x04 && !this.authed) {
+          ++i;
+          state = STATE_V4_CMD;
+          break;
+        }
         if (chunk[i] !== 0x05) {
           this.emit('error',
                     new Error('Incompatible SOCKS protocol version: '
@@ -207,6 +223,7 @@ Parser.prototype._onData = function(chunk) {
             this._dstaddr = this._dstaddr.toString();
 
           this.emit('request', {
+            version: 5,
             cmd: this._cmd,
             srcAddr: undefined,
             srcPort: undefined,
@@ -217,6 +234,94 @@ Parser.prototype._onData = function(chunk) {
         }
         ++i;
       break;
+      // =======================================================================
+      /*
+        +----+----+----+----+----+----+----+----+----+----+....+----+
+        | VN | CD | DSTPORT |      DSTIP        | USERID       |NULL|
+        +----+----+----+----+----+----+----+----+----+----+....+----+
+           1    1      2              4           variable       1
+
+        SOCKS4a: a DSTIP of 0.0.0.x (x != 0) is followed by the NUL-terminated
+        destination HOSTNAME, to be resolved by the server
+      */
+      case STATE_V4_CMD:
+        var cmd4 = chunk[i];
+        if (cmd4 === CMD.CONNECT)
+          this._cmd = 'connect';
+        else if (cmd4 === CMD.BIND)
+          this._cmd = 'bind';
+        else {
+          this.stop();
+          this.emit('error', new Error('Invalid request command: ' + cmd4));
+          return;
+        }
+        ++i;
+        ++state;
+      break;
+      case STATE_V4_DSTPORT:
+        if (this._dstport === undefined)
+          this._dstport = chunk[i];
+        else {
+          this._dstport <<= 8;
+          this._dstport += chunk[i];
+          this._dstaddr = new Buffer(4);
+          this._dstaddrp = 0;
+          ++state;
+        }
+        ++i;
+      break;
+      case STATE_V4_DSTIP:
+        this._dstaddr[this._dstaddrp++] = chunk[i];
+        ++i;
+        if (this._dstaddrp === 4) {
+          this._userid = [];
+          ++state;
+        }
+      break;
+      case STATE_V4_USERID:
+      case STATE_V4_HOSTNAME:
+        var nul = chunk.indexOf(0x00, i),
+            end = (nul === -1 ? len : nul),
+            field = (state === STATE_V4_USERID ? this._userid : this._hostname);
+        field.push(chunk.slice(i, end));
+        i = end;
+        if (Buffer.concat(field).length > MAX_V4_FIELD_LEN) {
+          this.stop();
+          this.emit('error',
+                    new Error('SOCKS4 '
+                              + (state === STATE_V4_USERID ? 'USERID' : 'HOSTNAME')
+                              + ' too long'));
+          return;
+        }
+        if (nul === -1)
+          break;
+        ++i;
+
+        var dstaddr = this._dstaddr;
+        if (state === STATE_V4_USERID
+            && dstaddr[0] === 0 && dstaddr[1] === 0 && dstaddr[2] === 0
+            && dstaddr[3] !== 0) {
+          this._hostname = [];
+          state = STATE_V4_HOSTNAME;
+          break;
+        }
+
+        this.stop();
+        if (i < len)
+          this._stream.unshift(chunk.slice(i));
+
+        this.emit('request', {
+          version: 4,
+          cmd: this._cmd,
+          srcAddr: undefined,
+          srcPort: undefined,
+          dstAddr: (state === STATE_V4_HOSTNAME
+                    ? Buffer.concat(this._hostname).toString()
+                    : Array.prototype.join.call(dstaddr, '.')),
+          dstPort: this._dstport,
+          userId: Buffer.concat(this._userid).toString()
+        });
+        return;
       // ===================================================================
     }
   }
@@ -0,0 +1,340 @@
+// UDP ASSOCIATE relay of the SOCKS server (RFC 1928 section 7)
+const net = require('net');
+const dns = require('dns');
+const dgram = require('dgram');
+const { EventEmitter } = require('events');
+const { ipbytes } = require('./utils');
+const { ATYP } = require('./constants');
+
+/**
+ * Strip the IPv4-mapped prefix dual-stack sockets report for IPv4 peers
+ * @param {string} address - IP address
+ * @returns {string} Plain IPv4 address or the address unchanged
+ */
+function normalizeAddress(address) {
+  const m = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address || '');
+  return (m ? m[1] : address);
+}
+
+/**
+ * Parse the header of a UDP request datagram:
+ *
+ *   +----+------+------+----------+----------+----------+
+ *   |RSV | FRAG | ATYP | DST.ADDR | DST.PORT |   DATA   |
+ *   +----+------+------+----------+----------+----------+
+ *   | 2  |  1   |  1   | Variable |    2     | Variable |
+ *   +----+------+------+----------+----------+----------+
+ *
+ * @param {Buffer} msg - Datagram
+ * @returns {Object|null} frag, dstAddr, dstPort and data, null when malformed
+ */
+function parseUdpHeader(msg) {
+  if (msg.length < 4) {
+    return null;
+  }
+
+  const atyp = msg[3];
+  let p = 4;
+  let dstAddr;
+
+  if (atyp === ATYP.IPv4) {
+    if (msg.length < p + 4 + 2) {
+      return null;
+    }
+    dstAddr = Array.prototype.join.call(msg.slice(p, p + 4), '.');
+    p += 4;
+  } else if (atyp === ATYP.IPv6) {
+    if (msg.length < p + 16 + 2) {
+      return null;
+    }
+    const groups = [];
+    for (let g = 0; g < 8; ++g) {
+      groups.push(msg.readUInt16BE(p + g * 2).toString(16));
+    }
+    dstAddr = groups.join(':');
+    p += 16;
+  } else if (atyp === ATYP.NAME) {
+    const len = (msg.length > p ? msg[p] : 0);
+    if (len === 0 || msg.length < p + 1 + len + 2) {
+      return null;
+    }
+    dstAddr = msg.toString('utf8', p + 1, p + 1 + len);
+    p += 1 + len;
+  } else {
+    return null;
+  }
+
+  return {
+    frag: msg[2],
+    dstAddr,
+    dstPort: msg.readUInt16BE(p),
+    data: msg.slice(p + 2)
+  };
+}
+
+/**
+ * Build the header of a UDP reply datagram (see parseUdpHeader)
+ * @param {string} address - Source IP address or hostname
+ * @param {number} port - Source port
+ * @returns {Buffer} Header bytes
+ */
+function buildUdpHeader(address, port) {
+  let addr;
+  let atyp;
+
+  if (net.isIP(address)) {
+    addr = Buffer.from(ipbytes(address));
+    atyp = (addr.length === 4 ? ATYP.IPv4 : ATYP.IPv6);
+  } else {
+    addr = Buffer.from(address);
+    addr = Buffer.concat([Buffer.from([addr.length]), addr]);
+    atyp = ATYP.NAME;
+  }
+
+  const header = Buffer.alloc(4 + addr.length + 2);
+  header[3] = atyp;
+  addr.copy(header, 4);
+  header.writeUInt16BE(port, 4 + addr.length);
+
+  return header;
+}
+
+/**
+ * Relay for one UDP association. Datagrams are only accepted from the IP
+ * address of the TCP control connection (and from the port announced in the
+ * request, when not zero); the first accepted datagram pins the client port.
+ * The relay is torn down with the control connection.
+ *
+ * Datagrams go straight to their destination, or through the UDP relay of an
+ * upstream SOCKS5 proxy once useUpstream() is called.
+ *
+ * Bandwidth is accounted like TCP connections: srcRx/srcTx count whole
+ * datagrams exchanged with the client, trgTx/trgRx only their payload.
+ * Packets are counted in `stats`, along with the dropped ones.
+ */
+class UdpRelay extends EventEmitter {
+  /**
+   * @param {net.Socket} socket - TCP control connection
+   * @param {Object} req - UDP ASSOCIATE request info
+   * @param {Function} consumeBandwidth - Bandwidth accounting for the connection
+   */
+  constructor(socket, req, consumeBandwidth) {
+    super();
+
+    this.socket = socket;
+    this.clientAddress = normalizeAddress(socket.remoteAddress);
+    this.clientPort = req.dstPort || 0;
+    this.closed = false;
+
+    this.stats = {
+      srcRxPackets: 0,
+      srcTxPackets: 0,
+      trgRxPackets: 0,
+      trgTxPackets: 0,
+      droppedPackets: 0
+    };
+
+    this._consumeBandwidth = consumeBandwidth;
+    this._relay = null;
+    this._outbound = {};
+    this._upstream = null;
+    this._onControlClose = () => this.close();
+  }
+
+  /**
+   * Bind the client-facing socket on the address the client reached the
+   * server on
+   * @param {Function} cb - Called with (err, address) once bound
+   */
+  bind(cb) {
+    const host = normalizeAddress(this.socket.localAddress);
+    const relay = dgram.createSocket(net.isIP(host) === 6 ? 'udp6' : 'udp4');
+    let bound = false;
+
+    this._relay = relay;
+
+    relay
+      .on('message', (msg, rinfo) => this._onClientMessage(msg, rinfo))
+      .on('error', (err) => {
+        if (!bound) {
+          // Left to the caller to reply on the control connection
+          this.closed = true;
+          relay.close();
+          cb(err);
+          return;
+        }
+        this.emit('error', err);
+        this.close();
+      });
+
+    relay.bind(0, host, () => {
+      bound = true;
+      this.socket.once('close', this._onControlClose);
+      cb(null, relay.address());
+    });
+  }
+
+  /**
+   * Relay datagrams through the UDP relay of an upstream SOCKS5 proxy. The
+   * association ends with the upstream control connection.
+   * @param {Object} upstream - Result of upstream.associateUpstream(): control
+   *   socket plus IP address and port of the upstream relay
+   */
+  useUpstream(upstream) {
+    this._upstream = upstream;
+
+    upstream.socket
+      .on('error', (err) => this.emit('error', err))
+      .once('close', this._onControlClose);
+
+    if (this.closed) {
+      upstream.socket.destroy();
+    }
+  }
+
+  /**
+   * Close the relay sockets and the control connection(s)
+   */
+  close() {
+    if (this.closed) {
+      return;
+    }
+
+    this.closed = true;
+    this.socket.removeListener('close', this._onControlClose);
+
+    if (this._relay) {
+      this._relay.close();
+    }
+    for (const type of Object.keys(this._outbound)) {
+      this._outbound[type].close();
+    }
+    this._outbound = {};
+
+    if (!this.socket.destroyed) {
+      this.socket.destroy();
+    }
+    if (this._upstream) {
+      this._upstream.socket.removeListener('close', this._onControlClose);
+      this._upstream.socket.destroy();
+    }
+
+    this.emit('close');
+  }
+
+  _onClientMessage(msg, rinfo) {
+    if (normalizeAddress(rinfo.address) !== this.clientAddress
+        || (this.clientPort && rinfo.port !== this.clientPort)) {
+      ++this.stats.droppedPackets;
+      return;
+    }
+
+    const header = parseUdpHeader(msg);
+
+    // Fragmentation is not supported, fragments are dropped as required
+    if (!header || header.frag !== 0) {
+      ++this.stats.droppedPackets;
+      return;
+    }
+
+    this.clientPort = rinfo.port;
+    ++this.stats.srcRxPackets;
+    this._consumeBandwidth('srcRxBytes', msg.length);
+
+    if (this._upstream) {
+      // The upstream relay gets the same header, rebuilt with RSV and FRAG zeroed
+      const packet = Buffer.concat([
+        buildUdpHeader(header.dstAddr, header.dstPort),
+        header.data
+      ]);
+      this._send(packet, this._upstream.port, this._upstream.host, header.data.length);
+      return;
+    }
+
+    if (net.isIP(header.dstAddr)) {
+      this._send(header.data, header.dstPort, header.dstAddr, header.data.length);
+      return;
+    }
+
+    dns.lookup(header.dstAddr, (err, address) => {
+      if (err) {
+        ++this.stats.droppedPackets;
+        return;
+      }
+      this._send(header.data, header.dstPort, address, header.data.length);
+    });
+  }
+
+  _send(data, port, address, payloadLength) {
+    if (this.closed) {
+      return;
+    }
+
+    const type = (net.isIP(address) === 6 ? 'udp6' : 'udp4');
+    let outbound = this._outbound[type];
+
+    if (!outbound) {
+      outbound = this._outbound[type] = dgram.createSocket(type);
+      outbound
+        .on('message', (msg, rinfo) => this._onTargetMessage(msg, rinfo))
+        .on('error', (err) => {
+          this.emit('error', err);
+          this.close();
+        });
+    }
+
+    outbound.send(data, port, address, (err) => {
+      if (err) {
+        ++this.stats.droppedPackets;
+        return;
+      }
+      ++this.stats.trgTxPackets;
+      this._consumeBandwidth('trgTxBytes', payloadLength);
+    });
+  }
+
+  _onTargetMessage(msg, rinfo) {
+    if (this.closed || !this.clientPort) {
+      ++this.stats.droppedPackets;
+      return;
+    }
+
+    let srcAddr = normalizeAddress(rinfo.address);
+    let srcPort = rinfo.port;
+    let data = msg;
+
+    if (this._upstream) {
+      // Only the upstream relay may answer, with the actual source in its header
+      const header = (srcAddr === this._upstream.host && srcPort === this._upstream.port
+                      ? parseUdpHeader(msg)
+                      : null);
+      if (!header || header.frag !== 0) {
+        ++this.stats.droppedPackets;
+        return;
+      }
+      srcAddr = header.dstAddr;
+      srcPort = header.dstPort;
+      data = header.data;
+    }
+
+    const packet = Buffer.concat([buildUdpHeader(srcAddr, srcPort), data]);
+
+    ++this.stats.trgRxPackets;
+    this._consumeBandwidth('trgRxBytes', data.length);
+    this._relay.send(packet, this.clientPort, this.clientAddress, (err) => {
+      if (err) {
+        ++this.stats.droppedPackets;
+        return;
+      }
+      ++this.stats.srcTxPackets;
+      this._consumeBandwidth('srcTxBytes', packet.length);
+    });
+  }
+}
+
+module.exports = {
+  UdpRelay,
+  parseUdpHeader,
+  buildUdpHeader,
+  normalizeAddress
+};
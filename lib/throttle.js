@@ -0,0 +1,272 @@
+const { Transform } = require('stream');
+
+// Chunks are let through in slices of at most this many bytes, so that slow
+// rates don't release whole socket reads at once
+const SLICE_SIZE = 16384;
+
+// Waiting slices check their buckets again at least this often, so that
+// limit changes apply to them too
+const MAX_WAIT = 100;
+
+const DIRECTIONS = ['upload', 'download'];
+
+/**
+ * Token bucket refilled at `rate` bytes per second up to `burst` bytes.
+ * Sends larger than the burst wait for a full bucket and leave it in debt.
+ */
+class TokenBucket {
+    constructor(rate, burst) {
+        this.tokens = Infinity;
+        this.last = Date.now();
+        this.set(rate, burst);
+    }
+
+    set(rate, burst) {
+        this.refill();
+        this.rate = rate;
+        this.burst = burst > 0 ? burst : rate;
+        this.tokens = Math.min(this.tokens, this.burst);
+    }
+
+    refill() {
+        const now = Date.now();
+
+        if (this.rate) {
+            this.tokens = Math.min(this.burst, this.tokens + (now - this.last) * this.rate / 1000);
+        }
+        this.last = now;
+    }
+
+    /**
+     * Tells how long to wait before bytes can be taken
+     * @param {number} bytes - Number of bytes
+     * @returns {number} Milliseconds to wait, 0 when they can be taken now
+     */
+    wait(bytes) {
+        const needed = Math.min(bytes, this.burst);
+
+        this.refill();
+
+        return this.tokens >= needed ? 0 : Math.ceil((needed - this.tokens) * 1000 / this.rate);
+    }
+
+    take(bytes) {
+        this.refill();
+        this.tokens -= bytes;
+    }
+}
+
+/**
+ * Updates the buckets of a limit, keeping the state of the ones that stay
+ * @param {Object} buckets - Current buckets by direction
+ * @param {Object} [limits] - upload and download rates in bytes per second
+ *   (0 or absent for no limit) and burst in bytes (defaults to one second
+ *   worth of the rate)
+ * @returns {Object} Buckets by direction, null for unlimited directions
+ */
+function updateBuckets(buckets, limits) {
+    const updated = {};
+
+    limits = limits || {};
+
+    for (const direction of DIRECTIONS) {
+        const rate = Number(limits[direction]) || 0;
+        const bucket = buckets[direction];
+
+        if (rate <= 0) {
+            updated[direction] = null;
+        } else if (bucket) {
+            bucket.set(rate, limits.burst);
+            updated[direction] = bucket;
+        } else {
+            updated[direction] = new TokenBucket(rate, limits.burst);
+        }
+    }
+
+    return updated;
+}
+
+/**
+ * Stream letting data through at the pace of a connection throttle
+ */
+class ThrottleStream extends Transform {
+    constructor(throttle, direction) {
+        super();
+        this.throttle = throttle;
+        this.direction = direction;
+        this.timer = null;
+    }
+
+    _transform(chunk, encoding, callback) {
+        const send = (offset) => {
+            this.timer = null;
+
+            if (offset >= chunk.length) {
+                callback();
+                return;
+            }
+
+            const slice = chunk.slice(offset, offset + SLICE_SIZE);
+            const wait = this.throttle.wait(this.direction, slice.length);
+
+            if (wait > 0) {
+                this.timer = setTimeout(send, Math.min(wait, MAX_WAIT), offset);
+                return;
+            }
+
+            this.throttle.take(this.direction, slice.length);
+            this.push(slice);
+            send(offset + slice.length);
+        };
+
+        send(0);
+    }
+
+    _destroy(err, callback) {
+        clearTimeout(this.timer);
+        callback(err);
+    }
+}
+
+/**
+ * Throttle of one connection, drawing from its own buckets, the ones shared
+ * by its user and the global ones
+ */
+class ConnectionThrottle {
+    constructor(limiter, username, limits) {
+        this.limiter = limiter;
+        this.username = username;
+        this.limits = {};
+        this.buckets = {};
+        this.closed = false;
+        this.setLimits(limits);
+    }
+
+    /**
+     * Changes the limits of the connection, applied to the data not sent yet
+     * @param {Object} [limits] - upload, download and burst (see updateBuckets)
+     */
+    setLimits(limits) {
+        this.limits = { ...limits };
+        this.buckets = updateBuckets(this.buckets, limits);
+    }
+
+    /**
+     * Lists the buckets the connection draws from in a direction
+     * @param {string} direction - upload or download
+     * @returns {TokenBucket[]} Connection, user and global buckets
+     */
+    getBuckets(direction) {
+        const user = this.username ? this.limiter.users.get(this.username) : null;
+
+        return [this.buckets[direction], user && user.buckets[direction], this.limiter.global[direction]]
+            .filter(Boolean);
+    }
+
+    /**
+     * Tells how long to wait before bytes can be sent
+     * @param {string} direction - upload or download
+     * @param {number} bytes - Number of bytes
+     * @returns {number} Milliseconds to wait, 0 when they can be sent now
+     */
+    wait(direction, bytes) {
+        return this.getBuckets(direction).reduce((wait, bucket) => Math.max(wait, bucket.wait(bytes)), 0);
+    }
+
+    take(direction, bytes) {
+        for (const bucket of this.getBuckets(direction)) {
+            bucket.take(bytes);
+        }
+    }
+
+    /**
+     * Creates a stream throttling one direction of the connection
+     * @param {string} direction - upload (client to destination) or download
+     * @returns {Transform} Throttling stream
+     */
+    createStream(direction) {
+        return new ThrottleStream(this, direction);
+    }
+
+    close() {
+        if (this.closed) {
+            return;
+        }
+        this.closed = true;
+        this.limiter.release(this.username);
+    }
+}
+
+/**
+ * Rate limits of a server: global ones, per user ones shared by all the
+ * connections of a user, and per connection ones (see ConnectionThrottle).
+ * Users only keep their buckets while they have connections, unless their
+ * limits were set with setUserLimits().
+ */
+class RateLimiter {
+    /**
+     * @param {Object} [limits] - Global limits (see updateBuckets)
+     * @param {Object} [userLimits] - Default limits of users without their own
+     */
+    constructor(limits, userLimits) {
+        this.global = updateBuckets({}, limits);
+        this.userLimits = userLimits || null;
+        this.users = new Map();
+    }
+
+    setGlobalLimits(limits) {
+        this.global = updateBuckets(this.global, limits);
+    }
+
+    /**
+     * Sets the limits shared by all the connections of a user
+     * @param {string} username - Username
+     * @param {Object} [limits] - upload, download and burst (see updateBuckets)
+     * @param {boolean} [keep] - Whether to keep them after the user's last
+     *   connection closes (defaults to true)
+     */
+    setUserLimits(username, limits, keep = true) {
+        const user = this.users.get(username) || { buckets: {}, connections: 0, keep: false };
+
+        user.buckets = updateBuckets(user.buckets, limits);
+        user.keep = user.keep || keep;
+        this.users.set(username, user);
+    }
+
+    /**
+     * Creates the throttle of a new connection
+     * @param {string} username - Username ('' for none)
+     * @param {Object} [limits] - Connection limits
+     * @param {Object} [userLimits] - Limits of the user, replacing the current
+     *   ones (or the defaults for a user without limits yet)
+     * @returns {ConnectionThrottle} The connection throttle
+     */
+    createThrottle(username, limits, userLimits) {
+        if (username) {
+            if (userLimits) {
+                this.setUserLimits(username, userLimits, false);
+            } else if (this.userLimits && !this.users.has(username)) {
+                this.setUserLimits(username, this.userLimits, false);
+            }
+            const user = this.users.get(username);
+            if (user) {
+                user.connections++;
+            }
+        }
+
+        return new ConnectionThrottle(this, username, limits);
+    }
+
+    release(username) {
+        const user = username ? this.users.get(username) : null;
+
+        if (user && --user.connections <= 0 && !user.keep) {
+            this.users.delete(username);
+        }
+    }
+}
+
+module.exports = {
+    TokenBucket,
+    RateLimiter
+};
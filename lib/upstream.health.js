@@ -0,0 +1,254 @@
+const { EventEmitter } = require('events');
+const { connectChain } = require('./upstream');
+const { ERROR_CATEGORY, isUpstreamFailure } = require('./errors');
+const { describeUpstream, normalizeMember } = require('./upstream.pool');
+
+const DEFAULT_OPTIONS = {
+    maxConsecutiveFailures: 5,
+    errorRateThreshold: 0.5,
+    errorRateWindow: 60000,
+    minRequests: 20,
+    ejectionTime: 30000,
+    maxEjectionTime: 300000,
+    probe: null
+};
+
+/**
+ * Registry of upstreams (or chains, keyed like pool members) with their
+ * health. Upstreams are ejected after too many consecutive connect failures
+ * or too high an error rate within a sliding window, for an ejection time
+ * doubling with each ejection in a row (up to maxEjectionTime). The back-off
+ * resets once an upstream stayed healthy as long as its last ejection.
+ *
+ * With `probe` options every registered upstream is also checked
+ * periodically by opening a tunnel to the check target; a successful probe
+ * brings an ejected upstream back early.
+ *
+ * Emits `upstreamHealthChanged` whenever an upstream is ejected or restored.
+ */
+class UpstreamHealth extends EventEmitter {
+    /**
+     * @param {Object} [options] - Health check options (see DEFAULT_OPTIONS)
+     * @param {Object} [options.probe] - Active probes: target ({ host, port }),
+     *   interval and timeout in milliseconds
+     * @param {Object[]} [options.upstreams] - Upstreams to register upfront
+     */
+    constructor(options = {}) {
+        super();
+
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.upstreams = new Map();
+        this.probeTimer = null;
+
+        for (const upstream of options.upstreams || []) {
+            this.register(upstream);
+        }
+    }
+
+    /**
+     * Registers an upstream, a chain or a pool member, unless already known
+     * @param {Object|Object[]} upstream - Pool member (see normalizeMember)
+     * @returns {Object} The health entry of the upstream
+     */
+    register(upstream) {
+        const member = upstream.key && upstream.hops ? upstream : normalizeMember(upstream);
+        let entry = this.upstreams.get(member.key);
+
+        if (!entry) {
+            entry = {
+                key: member.key,
+                hops: member.hops,
+                healthy: true,
+                consecutiveFailures: 0,
+                results: [],
+                ejections: 0,
+                ejectedUntil: 0,
+                restoredAt: 0,
+                lastEjectionTime: 0,
+                lastError: null,
+                timer: null,
+                probing: false
+            };
+            this.upstreams.set(member.key, entry);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Whether an upstream may be picked: unknown upstreams are
+     * @param {string} key - Upstream key (see upstreamKey)
+     * @returns {boolean} false while the upstream is ejected
+     */
+    isHealthy(key) {
+        const entry = this.upstreams.get(key);
+        return !entry || entry.healthy;
+    }
+
+    /**
+     * Records the outcome of a connection attempt through an upstream.
+     * Rejected credentials say nothing about the upstream, which others may
+     * use with their own (a shared gateway), so they are left out.
+     * @param {Object} member - Pool member (see normalizeMember)
+     * @param {Error} [err] - The error, when the attempt failed
+     */
+    record(member, err) {
+        if (err && isUpstreamFailure(err) && err.category === ERROR_CATEGORY.UPSTREAM_AUTH) {
+            return;
+        }
+
+        const entry = this.register(member);
+        const now = Date.now();
+        const failed = Boolean(err) && isUpstreamFailure(err);
+        const { errorRateWindow } = this.options;
+
+        entry.results.push({ time: now, failed });
+        while (entry.results.length && entry.results[0].time <= now - errorRateWindow) {
+            entry.results.shift();
+        }
+
+        if (!failed) {
+            entry.consecutiveFailures = 0;
+            if (!entry.healthy) {
+                this.restore(entry, 'success');
+            } else if (entry.ejections && now - entry.restoredAt >= entry.lastEjectionTime) {
+                entry.ejections = 0;
+            }
+            return;
+        }
+
+        entry.consecutiveFailures++;
+        entry.lastError = err.message;
+
+        if (!entry.healthy) {
+            return;
+        }
+
+        const { maxConsecutiveFailures, errorRateThreshold, minRequests } = this.options;
+        const failures = entry.results.filter((result) => result.failed).length;
+
+        if (maxConsecutiveFailures > 0 && entry.consecutiveFailures >= maxConsecutiveFailures) {
+            this.eject(entry, 'consecutive_failures');
+        } else if (errorRateThreshold > 0 && entry.results.length >= minRequests
+                   && failures / entry.results.length >= errorRateThreshold) {
+            this.eject(entry, 'error_rate');
+        }
+    }
+
+    eject(entry, reason) {
+        const { ejectionTime, maxEjectionTime } = this.options;
+        const duration = Math.min(ejectionTime * 2 ** entry.ejections, maxEjectionTime);
+
+        entry.healthy = false;
+        entry.ejections++;
+        entry.lastEjectionTime = duration;
+        entry.ejectedUntil = Date.now() + duration;
+        entry.timer = setTimeout(() => this.restore(entry, 'ejection_expired'), duration);
+        entry.timer.unref();
+
+        this.emitChange(entry, reason);
+    }
+
+    restore(entry, reason) {
+        clearTimeout(entry.timer);
+
+        entry.healthy = true;
+        entry.timer = null;
+        entry.ejectedUntil = 0;
+        entry.restoredAt = Date.now();
+        entry.consecutiveFailures = 0;
+        entry.results = [];
+
+        this.emitChange(entry, reason);
+    }
+
+    emitChange(entry, reason) {
+        this.emit('upstreamHealthChanged', { ...this.describe(entry), reason });
+    }
+
+    /**
+     * Describes the health of an upstream, without its credentials
+     * @param {Object} entry - Health entry
+     * @returns {Object} Health state
+     */
+    describe(entry) {
+        const failures = entry.results.filter((result) => result.failed).length;
+
+        return {
+            key: entry.key,
+            upstream: entry.hops.length === 1 ? describeUpstream(entry.hops[0]) : entry.hops.map(describeUpstream),
+            healthy: entry.healthy,
+            consecutiveFailures: entry.consecutiveFailures,
+            requests: entry.results.length,
+            errorRate: entry.results.length ? failures / entry.results.length : 0,
+            ejections: entry.ejections,
+            ejectedUntil: entry.ejectedUntil || null,
+            lastError: entry.lastError
+        };
+    }
+
+    /**
+     * Lists the health of every registered upstream
+     * @returns {Object[]} Health states (see describe)
+     */
+    getHealth() {
+        return Array.from(this.upstreams.values(), (entry) => this.describe(entry));
+    }
+
+    /**
+     * Checks an upstream by opening a tunnel to the probe target
+     * @param {Object|Object[]} upstream - Upstream, chain or pool member
+     * @returns {Promise<Object>} Resolves with the health state once recorded
+     */
+    async probe(upstream) {
+        const entry = this.register(upstream);
+        const { target, timeout = 5000 } = this.options.probe || {};
+
+        if (!target) {
+            throw new Error('No health check target configured');
+        }
+
+        entry.probing = true;
+        try {
+            const { socket } = await connectChain(entry.hops, target, { timeout });
+            socket.destroy();
+            this.record(entry, null);
+        } catch (err) {
+            this.record(entry, err);
+        } finally {
+            entry.probing = false;
+        }
+
+        return this.describe(entry);
+    }
+
+    /**
+     * Starts probing every registered upstream periodically, when probes
+     * are configured
+     */
+    start() {
+        const { probe } = this.options;
+
+        if (!probe || !probe.target || this.probeTimer) {
+            return;
+        }
+
+        this.probeTimer = setInterval(() => {
+            for (const entry of this.upstreams.values()) {
+                if (!entry.probing) {
+                    this.probe(entry).catch(() => {});
+                }
+            }
+        }, probe.interval || 30000);
+        this.probeTimer.unref();
+    }
+
+    stop() {
+        clearInterval(this.probeTimer);
+        this.probeTimer = null;
+    }
+}
+
+module.exports = {
+    UpstreamHealth
+};
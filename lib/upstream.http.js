@@ -0,0 +1,126 @@
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const tls = require('tls');
+const { REP } = require('./constants');
+
+/**
+ * Maps an HTTP CONNECT response status to a SOCKS5 reply code
+ * @param {number} statusCode - HTTP status code returned by the upstream
+ * @returns {number} SOCKS5 reply code
+ */
+function statusToReply(statusCode) {
+    switch (statusCode) {
+        case 403:
+            return REP.DISALLOW;
+        case 502:
+            return REP.HOSTUNREACH;
+        case 504:
+            return REP.TTLEXPIRED;
+        // 407 means our upstream credentials are wrong, which the client can't fix
+        case 407:
+        default:
+            return REP.GENFAIL;
+    }
+}
+
+/**
+ * Formats host and port for the CONNECT request line and Host header
+ * @param {string} host - Hostname or IP address
+ * @param {number} port - Port
+ * @returns {string} host:port, with IPv6 addresses bracketed
+ */
+function formatAuthority(host, port) {
+    return (net.isIP(host) === 6 ? `[${host}]` : host) + ':' + port;
+}
+
+/**
+ * Opens a tunnel to the destination through an HTTP(S) proxy using CONNECT
+ * @param {Object} upstreamProxy - Upstream configuration (host, port, protocol, auth, headers, tls)
+ * @param {Object} destination - Destination host and port
+ * @param {Object} [options] - Connection options
+ * @param {number} [options.timeout] - Milliseconds to wait for the CONNECT response
+ * @param {net.Socket} [options.socket] - Existing tunnel to reach the proxy through
+ * @returns {Promise<{socket: net.Socket}>} Resolves with the tunnel socket
+ */
+function httpConnect(upstreamProxy, destination, options = {}) {
+    return new Promise((resolve, reject) => {
+        const secure = upstreamProxy.protocol === 'https';
+        const authority = formatAuthority(destination.host, destination.port);
+        const headers = {
+            Host: authority,
+            ...upstreamProxy.headers
+        };
+
+        if (upstreamProxy.auth) {
+            const { username, password } = upstreamProxy.auth;
+            headers['Proxy-Authorization'] = 'Basic ' +
+                Buffer.from(`${username}:${password || ''}`).toString('base64');
+        }
+
+        const requestOptions = {
+            host: upstreamProxy.host,
+            port: upstreamProxy.port || (secure ? 443 : 80),
+            method: 'CONNECT',
+            path: authority,
+            headers,
+            agent: false
+        };
+
+        if (secure) {
+            Object.assign(requestOptions, upstreamProxy.tls);
+            if (!requestOptions.servername && !net.isIP(upstreamProxy.host)) {
+                requestOptions.servername = upstreamProxy.host;
+            }
+        }
+
+        // createConnection is only honoured when no agent is involved at all
+        if (options.socket) {
+            delete requestOptions.agent;
+            requestOptions.createConnection = () => (secure
+                ? tls.connect({
+                    ...upstreamProxy.tls,
+                    servername: requestOptions.servername,
+                    socket: options.socket
+                })
+                : options.socket);
+        }
+
+        const req = (secure ? https : http).request(requestOptions);
+
+        req.once('connect', (res, socket, head) => {
+            socket.setTimeout(0);
+
+            if (res.statusCode !== 200) {
+                socket.destroy();
+                const err = new Error(`HTTP upstream proxy responded with ${res.statusCode} ${res.statusMessage}`);
+                err.statusCode = res.statusCode;
+                err.rep = statusToReply(res.statusCode);
+                reject(err);
+                return;
+            }
+
+            if (head && head.length) {
+                socket.unshift(head);
+            }
+
+            resolve({ socket });
+        });
+
+        req.once('error', reject);
+
+        if (options.timeout > 0) {
+            req.setTimeout(options.timeout, () => {
+                const err = new Error(`HTTP upstream proxy did not answer within ${options.timeout}ms`);
+                err.code = 'ETIMEDOUT';
+                req.destroy(err);
+            });
+        }
+
+        req.end();
+    });
+}
+
+module.exports = {
+    httpConnect
+};
@@ -0,0 +1,259 @@
+const net = require('net');
+const dns = require('dns').promises;
+const { SocksClient } = require('socks');
+const { httpConnect } = require('./upstream.http');
+const { REP } = require('./constants');
+const { ERROR_CATEGORY, classifyUpstreamError } = require('./errors');
+
+/**
+ * Resolves the protocol of an upstream, falling back to the SOCKS version in
+ * upstreamProxy.type when no protocol is given
+ * @param {Object} upstreamProxy - Upstream configuration
+ * @returns {string} socks5, socks4, socks4a, http or https
+ */
+function getUpstreamProtocol(upstreamProxy) {
+    if (upstreamProxy.protocol) {
+        return upstreamProxy.protocol;
+    }
+    if (upstreamProxy.type === undefined || upstreamProxy.type === 5) {
+        return 'socks5';
+    }
+    if (upstreamProxy.type === 4) {
+        return 'socks4';
+    }
+    throw new Error(`Unsupported upstream SOCKS version: ${upstreamProxy.type}`);
+}
+
+/**
+ * Makes sure a destination can be carried by a SOCKS4 upstream: IPv4 addresses
+ * go as is, hostnames are resolved locally for SOCKS4 or passed on for SOCKS4a
+ * and IPv6 addresses can't be expressed at all.
+ * @param {Object} destination - Destination host and port
+ * @param {boolean} remoteDns - Whether the upstream speaks SOCKS4a
+ * @returns {Promise<Object>} The destination to send to the upstream
+ */
+async function getSocks4Destination(destination, remoteDns) {
+    const family = net.isIP(destination.host);
+
+    if (family === 6) {
+        const err = new Error(`SOCKS4 upstream proxies cannot carry IPv6 destinations (${destination.host})`);
+        err.rep = REP.ATYPUNSUPP;
+        err.category = ERROR_CATEGORY.UNSUPPORTED;
+        throw err;
+    }
+
+    if (family === 4 || remoteDns) {
+        return destination;
+    }
+
+    try {
+        const { address } = await dns.lookup(destination.host, { family: 4 });
+        return { host: address, port: destination.port };
+    } catch (err) {
+        err.message = `Could not resolve ${destination.host} to an IPv4 address for a SOCKS4 upstream proxy: ${err.message}`;
+        err.rep = REP.HOSTUNREACH;
+        err.category = ERROR_CATEGORY.DNS;
+        throw err;
+    }
+}
+
+/**
+ * Opens a tunnel to the destination through a SOCKS4, SOCKS4a or SOCKS5 proxy
+ * @param {Object} upstreamProxy - Upstream configuration (host, port, auth)
+ * @param {Object} destination - Destination host and port
+ * @param {string} protocol - socks5, socks4 or socks4a
+ * @param {Object} options - Connection options (see connectUpstream)
+ * @returns {Promise<{socket: net.Socket}>} Resolves with the tunnel socket
+ */
+async function socksConnect(upstreamProxy, destination, protocol, options) {
+    const type = protocol === 'socks5' ? 5 : 4;
+
+    if (type === 4) {
+        destination = await getSocks4Destination(destination, protocol === 'socks4a');
+    }
+
+    const connectionOptions = {
+        proxy: {
+            ipaddress: upstreamProxy.host,
+            port: upstreamProxy.port,
+            type,
+        },
+        command: "connect",
+        destination,
+    };
+
+    if (upstreamProxy.auth) {
+        connectionOptions.proxy.userId = upstreamProxy.auth.username;
+        connectionOptions.proxy.password = upstreamProxy.auth.password;
+    }
+
+    if (options.socket) {
+        connectionOptions.existing_socket = options.socket;
+    }
+
+    if (options.timeout > 0) {
+        connectionOptions.timeout = options.timeout;
+    }
+
+    return SocksClient.createConnection(connectionOptions);
+}
+
+/**
+ * Opens a tunnel to the destination through an upstream proxy, dispatching
+ * on its protocol (see getUpstreamProtocol)
+ * @param {Object} upstreamProxy - Upstream configuration
+ * @param {Object} destination - Destination host and port
+ * @param {Object} [options] - Connection options
+ * @param {net.Socket} [options.socket] - Existing tunnel to reach the proxy through
+ * @param {number} [options.timeout] - Milliseconds to get the tunnel established
+ * @returns {Promise<{socket: net.Socket}>} Resolves with the tunnel socket
+ */
+async function connectUpstream(upstreamProxy, destination, options = {}) {
+    const protocol = getUpstreamProtocol(upstreamProxy);
+
+    switch (protocol) {
+        case 'socks5':
+        case 'socks4':
+        case 'socks4a':
+            return socksConnect(upstreamProxy, destination, protocol, options);
+        case 'http':
+        case 'https':
+            return httpConnect(upstreamProxy, destination, options);
+        default:
+            throw new Error(`Unsupported upstream proxy protocol: ${protocol}`);
+    }
+}
+
+/**
+ * Opens a tunnel to the destination through an ordered list of upstream
+ * proxies, each hop being reached through the tunnel of the previous one.
+ * On failure the error carries the failed hop index in `hop`, the timing
+ * of every attempted hop in `hops`, plus `category` and `rep` (see
+ * classifyUpstreamError).
+ * @param {Object[]} upstreamProxies - Upstream configurations, first hop first
+ * @param {Object} destination - Destination host and port
+ * @param {Object} [options] - Connection options
+ * @param {number} [options.timeout] - Milliseconds to get through every hop
+ * @returns {Promise<{socket: net.Socket, hops: Object[]}>} Resolves with the
+ *   tunnel socket and the timing of every hop
+ */
+async function connectChain(upstreamProxies, destination, options = {}) {
+    const deadlineAt = options.timeout > 0 ? Date.now() + options.timeout : 0;
+    const hops = [];
+    let socket = null;
+
+    for (let i = 0; i < upstreamProxies.length; i++) {
+        const upstreamProxy = upstreamProxies[i];
+        const next = upstreamProxies[i + 1];
+        const target = next ? { host: next.host, port: next.port } : destination;
+        const hop = {
+            host: upstreamProxy.host,
+            port: upstreamProxy.port,
+            protocol: upstreamProxy.protocol || `socks${upstreamProxy.type || 5}`,
+            duration: 0
+        };
+        const start = Date.now();
+
+        hops.push(hop);
+
+        try {
+            const timeout = deadlineAt ? Math.max(1, deadlineAt - Date.now()) : 0;
+            ({ socket } = await connectUpstream(upstreamProxy, target, { socket, timeout }));
+            hop.duration = Date.now() - start;
+        } catch (err) {
+            hop.duration = Date.now() - start;
+            hop.error = err.message;
+
+            if (socket) {
+                socket.destroy();
+            }
+
+            classifyUpstreamError(err);
+
+            if (upstreamProxies.length > 1) {
+                err.message = `Hop ${i + 1}/${upstreamProxies.length} (${hop.host}:${hop.port}) ` +
+                    `failed to reach ${target.host}:${target.port}: ${err.message}`;
+            }
+            err.hop = i;
+            err.hops = hops;
+            throw err;
+        }
+    }
+
+    return { socket, hops };
+}
+
+/**
+ * Opens a UDP association on a SOCKS5 upstream. The returned control socket
+ * must stay open for as long as the association is used. Errors carry
+ * `category` and `rep` (see classifyUpstreamError).
+ * @param {Object} upstreamProxy - Upstream configuration (host, port, auth)
+ * @param {Object} [options] - Association options
+ * @param {number} [options.timeout] - Milliseconds to get the association
+ *   established
+ * @returns {Promise<{socket: net.Socket, host: string, port: number}>}
+ *   Resolves with the control socket and the IP address and port of the
+ *   upstream UDP relay
+ */
+async function associateUpstream(upstreamProxy, options = {}) {
+    const protocol = getUpstreamProtocol(upstreamProxy);
+
+    if (protocol !== 'socks5') {
+        const err = new Error(`UDP associations need a SOCKS5 upstream proxy, not ${protocol}`);
+        err.rep = REP.CMDUNSUPP;
+        err.category = ERROR_CATEGORY.UNSUPPORTED;
+        throw err;
+    }
+
+    const connectionOptions = {
+        proxy: {
+            ipaddress: upstreamProxy.host,
+            port: upstreamProxy.port,
+            type: 5,
+        },
+        command: "associate",
+        // We don't know yet which port datagrams will be sent from
+        destination: { host: '0.0.0.0', port: 0 },
+    };
+
+    if (options.timeout > 0) {
+        connectionOptions.timeout = options.timeout;
+    }
+
+    if (upstreamProxy.auth) {
+        connectionOptions.proxy.userId = upstreamProxy.auth.username;
+        connectionOptions.proxy.password = upstreamProxy.auth.password;
+    }
+
+    // SocksClient.createConnection() only allows CONNECT
+    const client = new SocksClient(connectionOptions);
+    const { socket, remoteHost } = await new Promise((resolve, reject) => {
+        client.once('established', resolve);
+        client.once('error', (err) => reject(classifyUpstreamError(err)));
+        client.connect();
+    });
+    client.removeAllListeners();
+
+    // Relays bound on the unspecified address are reached through the proxy host
+    let host = remoteHost.host;
+    if (host === '0.0.0.0' || /^[0:]+$/.test(host)) {
+        host = upstreamProxy.host;
+    }
+
+    try {
+        ({ address: host } = await dns.lookup(host));
+    } catch (err) {
+        socket.destroy();
+        err.category = ERROR_CATEGORY.UPSTREAM_UNREACHABLE;
+        err.rep = REP.GENFAIL;
+        throw err;
+    }
+
+    return { socket, host, port: remoteHost.port };
+}
+
+module.exports = {
+    connectUpstream,
+    connectChain,
+    associateUpstream
+};
@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const { connectChain } = require('./upstream');
+const { ERROR_CATEGORY, classifyUpstreamError } = require('./errors');
+
+const STRATEGIES = ['round-robin', 'weighted-random', 'least-connections'];
+
+// Failures no other upstream would get past: unsupported requests and
+// destinations that can't be resolved (upstream hosts that can't be are
+// upstream_unreachable)
+const NON_RETRYABLE_CATEGORIES = [ERROR_CATEGORY.UNSUPPORTED, ERROR_CATEGORY.DNS];
+
+/**
+ * Describes an upstream without its credentials, for stats and events
+ * @param {Object} upstreamProxy - Upstream configuration
+ * @returns {Object} host, port and protocol
+ */
+function describeUpstream(upstreamProxy) {
+    return {
+        host: upstreamProxy.host,
+        port: upstreamProxy.port,
+        protocol: upstreamProxy.protocol || `socks${upstreamProxy.type || 5}`
+    };
+}
+
+/**
+ * Identifies an upstream (or a chain of upstreams) across requests
+ * @param {Object[]} hops - Upstream configurations, first hop first
+ * @returns {string} Key such as socks5://host:port, hops joined by '>'
+ */
+function upstreamKey(hops) {
+    return hops.map((hop) => {
+        const { host, port, protocol } = describeUpstream(hop);
+        return `${protocol}://${host}:${port}`;
+    }).join('>');
+}
+
+/**
+ * Identifies an upstream (or a chain) along with the credentials it is used
+ * with: gateways picking the exit IP from the credentials make members of
+ * the same host:port different upstreams. Credentials are hashed, not kept.
+ * @param {Object[]} hops - Upstream configurations, first hop first
+ * @returns {string} Key such as socks5://host:port#digest
+ */
+function upstreamIdentity(hops) {
+    const credentials = hops.map((hop) => [hop.auth || null, hop.headers || null]);
+    const digest = crypto.createHash('sha1').update(JSON.stringify(credentials)).digest('hex');
+
+    return `${upstreamKey(hops)}#${digest}`;
+}
+
+/**
+ * Normalizes a pool member: an upstream, a chain (array of upstreams) or
+ * { upstreamProxy, weight }
+ * @param {Object|Object[]} member - Pool member
+ * @returns {{hops: Object[], weight: number, key: string, identity: string}}
+ *   Normalized member, keyed by upstream and identified with its credentials
+ */
+function normalizeMember(member) {
+    let upstreamProxy = member;
+    let weight = 1;
+
+    if (!Array.isArray(member) && member.upstreamProxy) {
+        upstreamProxy = member.upstreamProxy;
+        weight = member.weight ?? 1;
+    } else if (!Array.isArray(member) && member.weight !== undefined) {
+        weight = member.weight;
+    }
+
+    const hops = [].concat(upstreamProxy);
+
+    return {
+        hops,
+        weight: Math.max(0, Number(weight) || 0),
+        key: upstreamKey(hops),
+        identity: upstreamIdentity(hops)
+    };
+}
+
+/**
+ * Keeps the state pool strategies need across requests: round-robin cursors
+ * and the number of established connections per upstream.
+ */
+class UpstreamPools {
+    /**
+     * @param {Object} [options] - Pool options
+     * @param {Function} [options.isHealthy] - Tells by key whether a member
+     *   may be picked; unhealthy members are skipped unless no member is healthy
+     */
+    constructor(options = {}) {
+        this.cursors = new Map();
+        this.active = new Map();
+        this.isHealthy = options.isHealthy || (() => true);
+    }
+
+    /**
+     * Orders the members of a pool in the order they should be attempted:
+     * the strategy's pick first, then the next ones to fail over to
+     * @param {Object} pool - Pool returned by prepareRequestFunction
+     * @returns {Object[]} Normalized members (see normalizeMember)
+     */
+    order(pool) {
+        const strategy = pool.strategy || 'round-robin';
+        const members = (pool.upstreams || []).map(normalizeMember);
+
+        if (!STRATEGIES.includes(strategy)) {
+            throw new Error(`Unsupported upstream pool strategy: ${strategy}`);
+        }
+        if (members.length === 0) {
+            throw new Error('Upstream pool has no members');
+        }
+
+        const healthy = members.filter((member) => this.isHealthy(member.key));
+        const candidates = healthy.length ? healthy : members;
+
+        if (strategy === 'weighted-random') {
+            return weightedShuffle(candidates);
+        }
+
+        if (strategy === 'least-connections') {
+            // Array.prototype.sort is stable, ties keep the pool order
+            return candidates.sort((a, b) => this.getActive(a.key) - this.getActive(b.key));
+        }
+
+        const cursorKey = pool.name || members.map((member) => member.key).join(',');
+        const start = (this.cursors.get(cursorKey) || 0) % candidates.length;
+        this.cursors.set(cursorKey, start + 1);
+
+        return candidates.slice(start).concat(candidates.slice(0, start));
+    }
+
+    getActive(key) {
+        return this.active.get(key) || 0;
+    }
+
+    acquire(key) {
+        this.active.set(key, this.getActive(key) + 1);
+    }
+
+    release(key) {
+        const count = this.getActive(key) - 1;
+        if (count > 0) {
+            this.active.set(key, count);
+        } else {
+            this.active.delete(key);
+        }
+    }
+}
+
+/**
+ * Weighted random order without replacement, zero weights last
+ * @param {Object[]} members - Normalized members
+ * @returns {Object[]} Shuffled members
+ */
+function weightedShuffle(members) {
+    const remaining = members.slice();
+    const ordered = [];
+
+    while (remaining.length) {
+        const total = remaining.reduce((sum, member) => sum + member.weight, 0);
+        let index = 0;
+
+        if (total > 0) {
+            let pick = Math.random() * total;
+            index = remaining.findIndex((member) => (pick -= member.weight) < 0);
+            if (index === -1) {
+                index = remaining.length - 1;
+            }
+        }
+
+        ordered.push(remaining.splice(index, 1)[0]);
+    }
+
+    return ordered;
+}
+
+/**
+ * Opens a tunnel through the first member of `members` that gets there,
+ * retrying the next ones on connect-phase failures.
+ * @param {Object[]} members - Normalized members, in attempt order
+ * @param {Object} destination - Destination host and port
+ * @param {Object} [options] - Retry options
+ * @param {number} [options.maxAttempts] - Attempt budget (defaults to every member)
+ * @param {number} [options.deadline] - Milliseconds for all attempts (0 for none)
+ * @param {number} [options.timeout] - Milliseconds for each attempt (0 for none)
+ * @param {Function} [options.onResult] - Called with (member, err) after each
+ *   attempt, err being null on success
+ * @returns {Promise<Object>} Resolves with socket, hops, member and attempts;
+ *   rejects with the last error, carrying `attempts`
+ */
+async function connectWithFailover(members, destination, options = {}) {
+    const maxAttempts = Math.max(1, Math.min(options.maxAttempts || members.length, members.length));
+    const deadlineAt = options.deadline > 0 ? Date.now() + options.deadline : Infinity;
+    const attempts = [];
+    let lastError = null;
+
+    for (let i = 0; i < maxAttempts; i++) {
+        const member = members[i];
+        const remaining = deadlineAt - Date.now();
+
+        // No time left for another attempt
+        if (remaining <= 0 && lastError) {
+            break;
+        }
+
+        const attempt = {
+            upstream: member.hops.length === 1
+                ? describeUpstream(member.hops[0])
+                : member.hops.map(describeUpstream),
+            duration: 0
+        };
+        const start = Date.now();
+
+        attempts.push(attempt);
+
+        try {
+            const limit = Math.min(remaining, options.timeout > 0 ? options.timeout : Infinity);
+            const timeout = limit === Infinity ? 0 : limit;
+            const { socket, hops } = await connectChain(member.hops, destination, { timeout });
+            attempt.duration = Date.now() - start;
+            if (options.onResult) {
+                options.onResult(member, null);
+            }
+            return { socket, hops, member, attempts };
+        } catch (err) {
+            classifyUpstreamError(err);
+            attempt.duration = Date.now() - start;
+            attempt.error = err.message;
+            attempt.category = err.category;
+            attempt.rep = err.rep;
+            lastError = err;
+
+            if (options.onResult) {
+                options.onResult(member, err);
+            }
+
+            if (NON_RETRYABLE_CATEGORIES.includes(err.category)) {
+                break;
+            }
+        }
+    }
+
+    lastError.attempts = attempts;
+    throw lastError;
+}
+
+module.exports = {
+    UpstreamPools,
+    connectWithFailover,
+    describeUpstream,
+    upstreamKey,
+    upstreamIdentity,
+    normalizeMember
+};
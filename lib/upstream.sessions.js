@@ -0,0 +1,249 @@
+const { EventEmitter } = require('events');
+const { describeUpstream } = require('./upstream.pool');
+
+const DEFAULT_OPTIONS = {
+    ttl: 600000,
+    maxSessions: 100000,
+    sweepInterval: 60000
+};
+
+// Username options that don't change where a session goes
+const NON_ROUTING_OPTIONS = ['lifetime'];
+
+/**
+ * Default session key: the username without its lifetime, for usernames
+ * such as `user-country-us-session-abc123`, or the base username and every
+ * option but the lifetime when a usernameParser got them (null when there's
+ * no session id). Requests of one session id with other routing options
+ * (country, city...) are different sessions.
+ * @param {Object} requestInfo - Request info passed to prepareRequestFunction
+ * @returns {string|null} Session key
+ */
+function defaultSessionKey(requestInfo) {
+    const { usernameOptions } = requestInfo;
+
+    if (usernameOptions && usernameOptions.session !== undefined) {
+        const options = Object.keys(usernameOptions)
+            .filter((name) => !NON_ROUTING_OPTIONS.includes(name) && usernameOptions[name] !== undefined)
+            .sort()
+            .map((name) => `-${name}-${usernameOptions[name]}`);
+
+        return requestInfo.username + options.join('');
+    }
+
+    const username = requestInfo.username || '';
+
+    if (!/-session-[^-]+/.test(username)) {
+        return null;
+    }
+
+    return username.replace(/-lifetime-[^-]+/g, '');
+}
+
+/**
+ * Session affinity: remembers per session key the pool member (with its
+ * upstream credentials) the session goes through, for a sliding TTL.
+ * Pinned members are attempted first; when they fail, or get ejected by
+ * health checks, the session is evicted and pinned again to whichever
+ * member gets through next.
+ *
+ * Emits `sessionEvicted` with the key, upstream and reason (`expired`,
+ * `upstream_failed`, `upstream_unhealthy`, `upstream_removed` or
+ * `capacity`).
+ */
+class StickySessions extends EventEmitter {
+    /**
+     * @param {Object} [options] - Session options (see DEFAULT_OPTIONS)
+     * @param {Function} [options.getKey] - Derives the session key from the
+     *   request info (see defaultSessionKey)
+     * @param {Function} [options.isHealthy] - Tells by key whether a member may
+     *   still be used
+     */
+    constructor(options = {}) {
+        super();
+
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.getKeyFunction = options.getKey || defaultSessionKey;
+        this.isHealthy = options.isHealthy || (() => true);
+        // Insertion order is kept least recently used first
+        this.sessions = new Map();
+        this.sweepTimer = null;
+    }
+
+    get size() {
+        return this.sessions.size;
+    }
+
+    /**
+     * Works out the session of a request: `sessionKey` and `sessionTtl`
+     * returned by prepareRequestFunction win over the getKey option
+     * @param {Object} requestInfo - Request info passed to prepareRequestFunction
+     * @param {Object} result - prepareRequestFunction result
+     * @returns {{key: string, ttl: number}|null} The session, null for none
+     */
+    resolve(requestInfo, result) {
+        const key = result.sessionKey !== undefined ? result.sessionKey : this.getKeyFunction(requestInfo);
+
+        if (key === null || key === undefined || key === '') {
+            return null;
+        }
+
+        return { key: String(key), ttl: result.sessionTtl || this.options.ttl };
+    }
+
+    /**
+     * Puts the member pinned to a session first, refreshing its TTL. Sessions
+     * pinned to a member the request may not go through (removed from the
+     * pool, or routed elsewhere by prepareRequestFunction) are evicted, to be
+     * pinned again.
+     * @param {Object} session - Session (see resolve)
+     * @param {Object[]} members - Pool members in attempt order
+     * @returns {Object[]} Members in attempt order
+     */
+    order(session, members) {
+        const entry = this.get(session.key);
+
+        if (!entry) {
+            return members;
+        }
+
+        // The same upstream with other credentials is another exit
+        const pinned = members.find((member) => member.identity === entry.member.identity);
+
+        if (!pinned) {
+            this.evict(entry, 'upstream_removed');
+            return members;
+        }
+
+        if (!this.isHealthy(entry.member.key)) {
+            this.evict(entry, 'upstream_unhealthy');
+            return members;
+        }
+
+        this.touch(entry, session.ttl);
+
+        return [pinned].concat(members.filter((member) => member !== pinned));
+    }
+
+    /**
+     * Pins a session to the member a connection went through
+     * @param {Object} session - Session (see resolve)
+     * @param {Object} member - Pool member
+     */
+    pin(session, member) {
+        let entry = this.get(session.key);
+
+        // Concurrent first connections of a session: the first pin wins
+        if (entry && entry.member.identity !== member.identity) {
+            this.touch(entry, session.ttl);
+            return;
+        }
+
+        if (!entry) {
+            entry = { key: session.key, member, createdAt: Date.now(), expiresAt: 0, connections: 0 };
+
+            while (this.sessions.size >= this.options.maxSessions) {
+                this.evict(this.sessions.values().next().value, 'capacity');
+            }
+        }
+
+        entry.connections++;
+        this.touch(entry, session.ttl);
+    }
+
+    /**
+     * Evicts a session whose pinned member failed
+     * @param {Object} session - Session (see resolve)
+     * @param {Object} member - The member that failed
+     */
+    fail(session, member) {
+        const entry = this.get(session.key);
+
+        if (entry && entry.member.identity === member.identity) {
+            this.evict(entry, 'upstream_failed');
+        }
+    }
+
+    get(key) {
+        const entry = this.sessions.get(key);
+
+        if (entry && entry.expiresAt <= Date.now()) {
+            this.evict(entry, 'expired');
+            return null;
+        }
+
+        return entry || null;
+    }
+
+    touch(entry, ttl) {
+        entry.ttl = ttl;
+        entry.expiresAt = Date.now() + ttl;
+        this.sessions.delete(entry.key);
+        this.sessions.set(entry.key, entry);
+    }
+
+    evict(entry, reason) {
+        this.sessions.delete(entry.key);
+        this.emit('sessionEvicted', { ...this.describe(entry), reason });
+    }
+
+    /**
+     * Describes a session without the upstream credentials
+     * @param {Object} entry - Session entry
+     * @returns {Object} key, upstream, createdAt, expiresAt and connections
+     */
+    describe(entry) {
+        const { hops } = entry.member;
+
+        return {
+            key: entry.key,
+            upstream: hops.length === 1 ? describeUpstream(hops[0]) : hops.map(describeUpstream),
+            createdAt: entry.createdAt,
+            expiresAt: entry.expiresAt,
+            connections: entry.connections
+        };
+    }
+
+    /**
+     * Lists the live sessions
+     * @returns {Object[]} Sessions (see describe)
+     */
+    list() {
+        const now = Date.now();
+        return Array.from(this.sessions.values())
+            .filter((entry) => entry.expiresAt > now)
+            .map((entry) => this.describe(entry));
+    }
+
+    /**
+     * Evicts expired sessions, so that they get their event without waiting
+     * for another request of the session
+     */
+    sweep() {
+        const now = Date.now();
+
+        for (const entry of Array.from(this.sessions.values())) {
+            if (entry.expiresAt <= now) {
+                this.evict(entry, 'expired');
+            }
+        }
+    }
+
+    start() {
+        if (this.sweepTimer) {
+            return;
+        }
+        this.sweepTimer = setInterval(() => this.sweep(), this.options.sweepInterval);
+        this.sweepTimer.unref();
+    }
+
+    stop() {
+        clearInterval(this.sweepTimer);
+        this.sweepTimer = null;
+    }
+}
+
+module.exports = {
+    StickySessions,
+    defaultSessionKey
+};
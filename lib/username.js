@@ -0,0 +1,124 @@
+/**
+ * Options understood by the default username parser, e.g.
+ * `customer-country-us-city-nyc-session-xyz-lifetime-10`. Each field has a
+ * type (`string`, `number` or `boolean`) and optionally a `pattern` the raw
+ * value must match, `min`/`max` bounds for numbers, `lowercase` to normalize
+ * strings, or a custom `parse(value)` returning the typed value (and throwing
+ * on invalid values).
+ */
+const DEFAULT_FIELDS = {
+    country: { type: 'string', pattern: /^[a-z]{2}$/i, lowercase: true },
+    region: { type: 'string', pattern: /^\w+$/, lowercase: true },
+    state: { type: 'string', pattern: /^\w+$/, lowercase: true },
+    city: { type: 'string', pattern: /^\w+$/, lowercase: true },
+    session: { type: 'string', pattern: /^\w+$/ },
+    lifetime: { type: 'number', min: 1 },
+    asn: {
+        type: 'number',
+        parse: (value) => {
+            const m = /^(?:as)?(\d+)$/i.exec(value);
+            if (!m) {
+                throw new Error('expected an AS number');
+            }
+            return Number(m[1]);
+        }
+    }
+};
+
+/**
+ * Converts the raw value of a username option to its type
+ * @param {Object} field - Field definition (see DEFAULT_FIELDS)
+ * @param {string} value - Raw value
+ * @returns {string|number|boolean} Typed value
+ */
+function parseValue(field, value) {
+    if (field.parse) {
+        return field.parse(value);
+    }
+
+    if (field.pattern && !field.pattern.test(value)) {
+        throw new Error(`does not match ${field.pattern}`);
+    }
+
+    switch (field.type || 'string') {
+        case 'number': {
+            const number = Number(value);
+            if (!/^-?\d+(\.\d+)?$/.test(value) || !Number.isFinite(number)) {
+                throw new Error('expected a number');
+            }
+            if (field.min !== undefined && number < field.min) {
+                throw new Error(`must be at least ${field.min}`);
+            }
+            if (field.max !== undefined && number > field.max) {
+                throw new Error(`must be at most ${field.max}`);
+            }
+            return number;
+        }
+        case 'boolean':
+            if (!/^(true|false|1|0)$/i.test(value)) {
+                throw new Error('expected true or false');
+            }
+            return /^(true|1)$/i.test(value);
+        default:
+            return field.lowercase ? value.toLowerCase() : value;
+    }
+}
+
+/**
+ * Creates a parser for usernames made of a base username followed by
+ * `key-value` option pairs. The base username ends at the first known key;
+ * after it every token must be a known key followed by its value.
+ * @param {Object} [options] - Parser options
+ * @param {string} [options.separator] - Token separator (defaults to '-')
+ * @param {Object} [options.fields] - Known options (defaults to DEFAULT_FIELDS)
+ * @returns {Function} Parser taking a username and returning
+ *   `{ username, options }`, throwing on invalid usernames
+ */
+function createUsernameParser(options = {}) {
+    const separator = options.separator || '-';
+    const fields = options.fields || DEFAULT_FIELDS;
+
+    return function parseUsername(username) {
+        const tokens = String(username || '').split(separator);
+        let i = tokens.findIndex((token, index) => index > 0 && Object.prototype.hasOwnProperty.call(fields, token));
+
+        if (i === -1) {
+            i = tokens.length;
+        }
+
+        const base = tokens.slice(0, i).join(separator);
+        const parsed = {};
+
+        if (!base) {
+            throw new Error('Username is missing the base username');
+        }
+
+        for (; i < tokens.length; i += 2) {
+            const key = tokens[i];
+            const value = tokens[i + 1];
+
+            if (!Object.prototype.hasOwnProperty.call(fields, key)) {
+                throw new Error(`Unknown username option '${key}'`);
+            }
+            if (Object.prototype.hasOwnProperty.call(parsed, key)) {
+                throw new Error(`Duplicate username option '${key}'`);
+            }
+            if (value === undefined || value === '') {
+                throw new Error(`Missing value for username option '${key}'`);
+            }
+
+            try {
+                parsed[key] = parseValue(fields[key], value);
+            } catch (err) {
+                throw new Error(`Invalid value '${value}' for username option '${key}': ${err.message}`);
+            }
+        }
+
+        return { username: base, options: parsed };
+    };
+}
+
+module.exports = {
+    DEFAULT_FIELDS,
+    createUsernameParser
+};
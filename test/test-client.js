@@ -1,8 +1,10 @@
 var auth = require('../index').auth,
     createServer = require('../index').createServer,
-    connect = require('../index').connect;
+    connect = require('../index').connect,
+    bind = require('../index').bind;
 
-var path = require('path'),
+var net = require('net'),
+    path = require('path'),
     assert = require('assert');
 
 var t = -1,
@@ -194,6 +196,55 @@ var tests = [
     },
     what: 'Denied connection'
   },
+  { run: function() {
+      var what = this.what,
+          conns = [],
+          bound,
+          peer,
+          response,
+          server;
+      server = createServer(function(info, accept) {
+        conns.push(info);
+        accept();
+      });
+
+      server.useAuth(auth.None());
+
+      server.listen(0, 'localhost', function() {
+        bind({
+          host: '127.0.0.1',
+          proxyHost: 'localhost',
+          proxyPort: server.address().port
+        }, function(repInfo) {
+          bound = repInfo;
+          peer = net.connect(repInfo.bndPort, repInfo.bndAddr, function() {
+            peer.end(PROXY_RESPONSE);
+          });
+        }).on('connect', function(socket, repInfo) {
+          assert(bound, makeMsg(what, 'Connected before being bound'));
+          assert(repInfo.bndAddr === '127.0.0.1'
+                 && repInfo.bndPort === peer.localPort,
+                 makeMsg(what, 'Bad peer address: ' + JSON.stringify(repInfo)));
+          bufferStream(socket, 'ascii', function(data) {
+            response = data;
+          });
+        }).on('error', function(err) {
+          assert(false, makeMsg(what, 'Unexpected error: ' + err));
+        }).on('close', function() {
+          server.close();
+          // allow bufferStream() callback to be called first
+          process.nextTick(function() {
+            assert(response === PROXY_RESPONSE,
+                   makeMsg(what, 'Response mismatch'));
+            assert(conns.length === 1 && conns[0].cmd === 'bind',
+                   makeMsg(what, 'Wrong connections'));
+            next();
+          });
+        }).useAuth(auth.None());
+      });
+    },
+    what: 'BIND'
+  },
 ];
 
 function bufferStream(stream, encoding, cb) {
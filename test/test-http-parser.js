@@ -0,0 +1,181 @@
+var Parser = require('../lib/http.parser'),
+    httpFrontend = require('../lib/server.http');
+
+var EventEmitter = require('events').EventEmitter,
+    path = require('path'),
+    assert = require('assert'),
+    inspect = require('util').inspect,
+    inherits = require('util').inherits;
+
+var t = -1,
+    group = path.basename(__filename, '.js') + '/';
+
+var tests = [
+  { run: function() {
+      var what = this.what,
+          stream = new FakeStream(),
+          parser = new Parser(stream),
+          request;
+      parser.on('request', function(r) {
+        request = r;
+      }).on('error', function(err) {
+        assert(false, makeMsg(what, 'Unexpected error: ' + err));
+      });
+      stream.emit('data', new Buffer('CONNECT example.org:443 HTTP/1.1\r\n'
+                                     + 'Host: example.org:443\r\n'
+                                     + 'Proxy-Authorization: Basic bm9kZWpzOnJ1bGVz\r\n'
+                                     + '\r\n'));
+      assert.deepEqual(request,
+                       { method: 'CONNECT',
+                         target: 'example.org:443',
+                         httpVersion: '1.1',
+                         headers: {
+                           'host': 'example.org:443',
+                           'proxy-authorization': 'Basic bm9kZWpzOnJ1bGVz'
+                         },
+                         rawHeaders: [
+                           ['Host', 'example.org:443'],
+                           ['Proxy-Authorization', 'Basic bm9kZWpzOnJ1bGVz']
+                         ] },
+                       makeMsg(what, 'Request mismatch: ' + inspect(request)));
+      assert.deepEqual(stream.unshifted, [],
+                       makeMsg(what, 'Unexpected unshifted data'));
+      next();
+    },
+    what: 'CONNECT - Valid (whole)'
+  },
+  { run: function() {
+      var what = this.what,
+          stream = new FakeStream(),
+          parser = new Parser(stream),
+          request;
+      parser.on('request', function(r) {
+        request = r;
+      }).on('error', function(err) {
+        assert(false, makeMsg(what, 'Unexpected error: ' + err));
+      });
+      stream.emit('data', new Buffer('POST http://example.org/a?b=1 HTTP/1.1\r'));
+      stream.emit('data', new Buffer('\nHost: example.org\r\n\r'));
+      stream.emit('data', new Buffer('\nbody'));
+      assert(request && request.method === 'POST'
+             && request.target === 'http://example.org/a?b=1',
+             makeMsg(what, 'Request mismatch: ' + inspect(request)));
+      assert(stream.unshifted.length === 1
+             && stream.unshifted[0].toString() === 'body',
+             makeMsg(what, 'Body was not pushed back'));
+      next();
+    },
+    what: 'Absolute URI - Valid (split, with body)'
+  },
+  { run: function() {
+      var what = this.what,
+          stream = new FakeStream(),
+          parser = new Parser(stream),
+          errors = [];
+      parser.on('request', function() {
+        assert(false, makeMsg(what, 'Unexpected request event'));
+      }).on('error', function(err) {
+        errors.push(err);
+      });
+      stream.emit('data', new Buffer('get / HTTP/1.1\r\n\r\n'));
+      assert(errors.length === 1
+             && /Invalid HTTP request method/i.test(errors[0].message),
+             makeMsg(what, 'Error(s) mismatch'));
+      next();
+    },
+    what: 'Bad method'
+  },
+  { run: function() {
+      var what = this.what,
+          stream = new FakeStream(),
+          parser = new Parser(stream),
+          errors = [];
+      parser.on('request', function() {
+        assert(false, makeMsg(what, 'Unexpected request event'));
+      }).on('error', function(err) {
+        errors.push(err);
+      });
+      stream.emit('data', new Buffer('GET http://example.org/ HTTP/1.1\r\n'));
+      for (var i = 0; i < 20 && !errors.length; ++i)
+        stream.emit('data', new Buffer(1024).fill(0x61));
+      assert(errors.length === 1
+             && /head too large/i.test(errors[0].message),
+             makeMsg(what, 'Error(s) mismatch'));
+      next();
+    },
+    what: 'Head too large'
+  },
+  { run: function() {
+      var what = this.what;
+      assert.deepEqual(httpFrontend.parseAuthority('[::1]:8080'),
+                       { host: '::1', port: 8080 },
+                       makeMsg(what, 'IPv6 authority mismatch'));
+      assert(httpFrontend.parseAuthority('example.org') === null,
+             makeMsg(what, 'Expected missing port to be rejected'));
+      assert(httpFrontend.parseAuthority('example.org:70000') === null,
+             makeMsg(what, 'Expected bad port to be rejected'));
+      var uri = httpFrontend.parseAbsoluteUri('http://example.org:8080/a?b=1');
+      assert(uri.host === 'example.org' && uri.port === 8080
+             && uri.path === '/a?b=1',
+             makeMsg(what, 'Absolute URI mismatch: ' + inspect(uri)));
+      assert(httpFrontend.parseAbsoluteUri('https://example.org/') === null,
+             makeMsg(what, 'Expected non-http URI to be rejected'));
+      var head = httpFrontend.rewriteRequestHead({
+        method: 'GET',
+        httpVersion: '1.1',
+        rawHeaders: [['Host', 'example.org'],
+                     ['Proxy-Authorization', 'Basic bm9kZWpzOnJ1bGVz'],
+                     ['Proxy-Connection', 'keep-alive'],
+                     ['Accept', '*/*']]
+      }, uri).toString();
+      assert(head === 'GET /a?b=1 HTTP/1.1\r\n'
+                      + 'Host: example.org\r\n'
+                      + 'Accept: */*\r\n'
+                      + 'Connection: close\r\n\r\n',
+             makeMsg(what, 'Rewritten head mismatch: ' + inspect(head)));
+      assert.deepEqual(httpFrontend.parseProxyAuthorization('Basic bm9kZWpzOnJ1bGVz'),
+                       { username: 'nodejs', password: 'rules' },
+                       makeMsg(what, 'Credentials mismatch'));
+      next();
+    },
+    what: 'Frontend helpers'
+  },
+];
+
+function next() {
+  if (t === tests.length - 1)
+    return;
+  var v = tests[++t];
+  v.run.call(v);
+}
+
+function makeMsg(what, msg) {
+  return '[' + group + what + ']: ' + msg;
+}
+
+process.once('uncaughtException', function(err) {
+  if (t > -1 && !/(?:^|\n)AssertionError: /i.test(''+err))
+    console.log(makeMsg(tests[t].what, 'Unexpected Exception:'));
+  throw err;
+});
+process.once('exit', function() {
+  assert(t === tests.length - 1,
+         makeMsg('_exit',
+                 'Only finished ' + (t + 1) + '/' + tests.length + ' tests'));
+});
+
+
+
+function FakeStream() {
+  EventEmitter.call(this);
+  this.unshifted = [];
+}
+inherits(FakeStream, EventEmitter);
+FakeStream.prototype.pause = function() {};
+FakeStream.prototype.resume = function() {};
+FakeStream.prototype.unshift = function(chunk) {
+  this.unshifted.push(chunk);
+};
+
+
+next();
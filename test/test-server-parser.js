@@ -64,9 +64,9 @@ var tests = [
       }).on('error', function(err) {
         errors.push(err);
       });
-      stream.emit('data', new Buffer([0x04, 0x01, 0x00]));
+      stream.emit('data', new Buffer([0x03, 0x01, 0x00]));
       assert(errors.length === 1
-             && /Incompatible SOCKS protocol version: 4/i.test(errors[0].message),
+             && /Incompatible SOCKS protocol version: 3/i.test(errors[0].message),
              makeMsg(what, 'Error(s) mismatch'));
       next();
     },
@@ -112,7 +112,8 @@ var tests = [
                                       0xC0, 0xA8, 0x64, 0x01,
                                       0x00, 0x50]));
       assert.deepEqual(request,
-                       { cmd: 'connect',
+                       { version: 5,
+                         cmd: 'connect',
                          srcAddr: undefined,
                          srcPort: undefined,
                          dstAddr: '192.168.100.1',
@@ -142,7 +143,8 @@ var tests = [
                                       0xC0, 0xA8, 0x64, 0x01,
                                       0x00, 0x50]));
       assert.deepEqual(request,
-                       { cmd: 'bind',
+                       { version: 5,
+                         cmd: 'bind',
                          srcAddr: undefined,
                          srcPort: undefined,
                          dstAddr: '192.168.100.1',
@@ -172,7 +174,8 @@ var tests = [
                                       0xC0, 0xA8, 0x64, 0x01,
                                       0x00, 0x50]));
       assert.deepEqual(request,
-                       { cmd: 'udp',
+                       { version: 5,
+                         cmd: 'udp',
                          srcAddr: undefined,
                          srcPort: undefined,
                          dstAddr: '192.168.100.1',
@@ -204,7 +207,8 @@ var tests = [
                                        0xF3, 0xF2, 0xF1, 0xF0,
                                       0x08, 0x40]));
       assert.deepEqual(request,
-                       { cmd: 'connect',
+                       { version: 5,
+                         cmd: 'connect',
                          srcAddr: undefined,
                          srcPort: undefined,
                          dstAddr: 'fffe:fdfc:fbfa:f9f8:f7f6:f5f4:f3f2:f1f0',
@@ -235,7 +239,8 @@ var tests = [
                                        0x2E, 0x6F, 0x72, 0x67,
                                       0x05, 0x39]));
       assert.deepEqual(request,
-                       { cmd: 'connect',
+                       { version: 5,
+                         cmd: 'connect',
                          srcAddr: undefined,
                          srcPort: undefined,
                          dstAddr: 'nodejs.org',
@@ -267,7 +272,8 @@ var tests = [
       stream.emit('data', new Buffer([0x05]));
       stream.emit('data', new Buffer([0x39]));
       assert.deepEqual(request,
-                       { cmd: 'connect',
+                       { version: 5,
+                         cmd: 'connect',
                          srcAddr: undefined,
                          srcPort: undefined,
                          dstAddr: 'nodejs.org',
@@ -355,6 +361,116 @@ var tests = [
     },
     what: 'Phase 2 - Bad address type'
   },
+  { run: function() {
+      var what = this.what,
+          stream = new FakeStream(),
+          parser = new Parser(stream),
+          request;
+      parser.on('methods', function() {
+        assert(false, makeMsg(what, 'Unexpected methods event'));
+      }).on('request', function(r) {
+        request = r;
+      }).on('error', function(err) {
+        assert(false, makeMsg(what, 'Unexpected error: ' + err));
+      });
+      stream.emit('data', new Buffer([0x04,
+                                      0x01,
+                                      0x00, 0x50,
+                                      0xC0, 0xA8, 0x64, 0x01,
+                                      0x6E, 0x6F, 0x64, 0x65, 0x00]));
+      assert.deepEqual(request,
+                       { version: 4,
+                         cmd: 'connect',
+                         srcAddr: undefined,
+                         srcPort: undefined,
+                         dstAddr: '192.168.100.1',
+                         dstPort: 80,
+                         userId: 'node' },
+                       makeMsg(what, 'Request mismatch'));
+      next();
+    },
+    what: 'SOCKS4 - Valid (whole) - CONNECT'
+  },
+  { run: function() {
+      var what = this.what,
+          stream = new FakeStream(),
+          parser = new Parser(stream),
+          request;
+      parser.on('methods', function() {
+        assert(false, makeMsg(what, 'Unexpected methods event'));
+      }).on('request', function(r) {
+        request = r;
+      }).on('error', function(err) {
+        assert(false, makeMsg(what, 'Unexpected error: ' + err));
+      });
+      stream.emit('data', new Buffer([0x04, 0x02, 0x01]));
+      stream.emit('data', new Buffer([0xBB, 0x00, 0x00, 0x00]));
+      stream.emit('data', new Buffer([0x01, 0x00, 0x6E, 0x6F]));
+      stream.emit('data', new Buffer([0x64, 0x65, 0x6A]));
+      stream.emit('data', new Buffer([0x73, 0x2E, 0x6F, 0x72, 0x67, 0x00]));
+      assert.deepEqual(request,
+                       { version: 4,
+                         cmd: 'bind',
+                         srcAddr: undefined,
+                         srcPort: undefined,
+                         dstAddr: 'nodejs.org',
+                         dstPort: 443,
+                         userId: '' },
+                       makeMsg(what, 'Request mismatch'));
+      next();
+    },
+    what: 'SOCKS4a - Valid (split) - BIND (Hostname)'
+  },
+  { run: function() {
+      var what = this.what,
+          stream = new FakeStream(),
+          parser = new Parser(stream),
+          errors = [];
+      parser.on('methods', function() {
+        assert(false, makeMsg(what, 'Unexpected methods event'));
+      }).on('request', function() {
+        assert(false, makeMsg(what, 'Unexpected request event'));
+      }).on('error', function(err) {
+        errors.push(err);
+      });
+      stream.emit('data', new Buffer([0x04,
+                                      0x03,
+                                      0x00, 0x50,
+                                      0xC0, 0xA8, 0x64, 0x01,
+                                      0x00]));
+      assert(errors.length === 1
+             && /Invalid request command: 3/i.test(errors[0].message),
+             makeMsg(what, 'Error(s) mismatch'));
+      next();
+    },
+    what: 'SOCKS4 - Bad command'
+  },
+  { run: function() {
+      var what = this.what,
+          stream = new FakeStream(),
+          parser = new Parser(stream),
+          errors = [],
+          userid = new Buffer(256);
+      userid.fill(0x61);
+      parser.on('methods', function() {
+        assert(false, makeMsg(what, 'Unexpected methods event'));
+      }).on('request', function() {
+        assert(false, makeMsg(what, 'Unexpected request event'));
+      }).on('error', function(err) {
+        errors.push(err);
+      });
+      stream.emit('data', new Buffer([0x04,
+                                      0x01,
+                                      0x00, 0x50,
+                                      0xC0, 0xA8, 0x64, 0x01]));
+      stream.emit('data', userid);
+      assert(errors.length === 1
+             && /USERID too long/i.test(errors[0].message),
+             makeMsg(what, 'Error(s) mismatch'));
+      next();
+    },
+    what: 'SOCKS4 - USERID too long'
+  },
 ];
 
 function next() {
@@ -1,7 +1,9 @@
 var auth = require('../index').auth,
     createServer = require('../index').createServer;
 
-var Socket = require('net').Socket,
+var net = require('net'),
+    Socket = net.Socket,
+    dgram = require('dgram'),
     cpexec = require('child_process').execFile,
     http = require('http'),
     path = require('path'),
@@ -9,7 +11,9 @@ var Socket = require('net').Socket,
 
 var t = -1,
     group = path.basename(__filename, '.js') + '/',
-    httpServer;
+    httpServer,
+    udpServer,
+    udpMessages = [];
 
 var HTTP_RESPONSE = 'hello from the node.js http server!';
 
@@ -284,12 +288,368 @@ var tests = [
                    makeMsg(what,
                            'Timeout while waiting for bad client socket end'));
           }, 100);
-          clientSock.write(new Buffer([0x04, 0x01, 0x00]));
+          clientSock.write(new Buffer([0x03, 0x01, 0x00]));
         }).connect(this.address().port, 'localhost');
       });
     },
     what: 'Disconnect socket on parser error'
   },
+  { run: function() {
+      var what = this.what,
+          conns = [],
+          server;
+      server = createServer(function(info, accept) {
+        assert(info.version === 4,
+               makeMsg(what, 'Unexpected version: ' + info.version));
+        assert(info.cmd === 'connect',
+               makeMsg(what, 'Unexpected command: ' + info.cmd));
+        assert(info.userId === 'nodejs',
+               makeMsg(what, 'Unexpected userId: ' + info.userId));
+        conns.push(info);
+        accept();
+      });
+
+      server.useAuth(auth.None());
+
+      server.listen(0, 'localhost', function() {
+        var args = ['--socks4',
+                    'localhost:' + this.address().port,
+                    '-U',
+                    'nodejs:',
+                    'http://127.0.0.1:' + httpServer.address().port];
+        cpexec('curl', args, function(err, stdout, stderr) {
+          server.close();
+          assert(!err, makeMsg(what, 'Unexpected client error: '
+                                     + extractCurlError(stderr)));
+          assert(stdout === HTTP_RESPONSE,
+                 makeMsg(what, 'Response mismatch'));
+          assert(conns.length === 1,
+                 makeMsg(what, 'Wrong number of connections'));
+          next();
+        });
+      });
+    },
+    what: 'SOCKS4 client, normal accept'
+  },
+  { run: function() {
+      var what = this.what,
+          conns = [],
+          server;
+      server = createServer(function(info, accept) {
+        assert(info.version === 4,
+               makeMsg(what, 'Unexpected version: ' + info.version));
+        assert(info.dstAddr === 'localhost',
+               makeMsg(what, 'Unexpected dstAddr: ' + info.dstAddr));
+        conns.push(info);
+        var socket;
+        if (socket = accept(true))
+          socket.end('HTTP/1.1 200 OK\r\nConnection: close\r\n\r\n');
+      });
+
+      server.useAuth(auth.None());
+
+      server.listen(0, 'localhost', function() {
+        var args = ['--socks4a',
+                    'localhost:' + this.address().port,
+                    'http://localhost:' + httpServer.address().port];
+        cpexec('curl', args, function(err, stdout, stderr) {
+          server.close();
+          assert(!err, makeMsg(what, 'Unexpected client error: '
+                                     + extractCurlError(stderr)));
+          assert(conns.length === 1,
+                 makeMsg(what, 'Wrong number of connections'));
+          next();
+        });
+      });
+    },
+    what: 'SOCKS4a client, intercept connection'
+  },
+  { run: function() {
+      var what = this.what,
+          server;
+      server = createServer(function() {
+        assert(false, makeMsg(what, 'Unexpected connection'));
+      });
+
+      server.useAuth(auth.UserPassword(function(user, pass, cb) {
+        cb(true);
+      }));
+
+      server.listen(0, 'localhost', function() {
+        var args = ['--socks4',
+                    'localhost:' + this.address().port,
+                    'http://127.0.0.1:' + httpServer.address().port];
+        cpexec('curl', args, function(err) {
+          server.close();
+          assert(err, makeMsg(what, 'Expected client error'));
+          next();
+        });
+      });
+    },
+    what: 'SOCKS4 client without "no authentication" method'
+  },
+  { run: function() {
+      var what = this.what,
+          conns = [],
+          server;
+      server = createServer(function(info, accept) {
+        assert(info.protocol === 'http' && info.method === 'CONNECT',
+               makeMsg(what, 'Unexpected protocol: ' + info.protocol));
+        assert(info.dstPort === httpServer.address().port,
+               makeMsg(what, 'Bad dstPort'));
+        conns.push(info);
+        accept();
+      });
+
+      server.useAuth(auth.None());
+
+      server.listen(0, 'localhost', function() {
+        var args = ['--proxytunnel',
+                    '--proxy',
+                    'http://localhost:' + this.address().port,
+                    'http://localhost:' + httpServer.address().port];
+        cpexec('curl', args, function(err, stdout, stderr) {
+          server.close();
+          assert(!err, makeMsg(what, 'Unexpected client error: '
+                                     + extractCurlError(stderr)));
+          assert(stdout === HTTP_RESPONSE,
+                 makeMsg(what, 'Response mismatch'));
+          assert(conns.length === 1,
+                 makeMsg(what, 'Wrong number of connections'));
+          next();
+        });
+      });
+    },
+    what: 'HTTP CONNECT client, normal accept'
+  },
+  { run: function() {
+      var what = this.what,
+          conns = [],
+          server;
+      server = createServer(function(info, accept, deny, username) {
+        assert(info.protocol === 'http' && info.method === 'GET',
+               makeMsg(what, 'Unexpected request: ' + info.method));
+        assert(username === 'nodejs',
+               makeMsg(what, 'Unexpected username: ' + username));
+        conns.push(info);
+        accept();
+      });
+
+      server.useAuth(auth.UserPassword(function(user, pass, cb) {
+        cb(user === 'nodejs' && pass === 'rules');
+      }));
+
+      server.listen(0, 'localhost', function() {
+        var args = ['--proxy',
+                    'http://localhost:' + this.address().port,
+                    '--proxy-user',
+                    'nodejs:rules',
+                    'http://localhost:' + httpServer.address().port + '/path'];
+        cpexec('curl', args, function(err, stdout, stderr) {
+          server.close();
+          assert(!err, makeMsg(what, 'Unexpected client error: '
+                                     + extractCurlError(stderr)));
+          assert(stdout === HTTP_RESPONSE,
+                 makeMsg(what, 'Response mismatch'));
+          assert(conns.length === 1,
+                 makeMsg(what, 'Wrong number of connections'));
+          next();
+        });
+      });
+    },
+    what: 'HTTP forwarding client, User/Password authentication'
+  },
+  { run: function() {
+      var what = this.what,
+          server;
+      server = createServer(function() {
+        assert(false, makeMsg(what, 'Unexpected connection'));
+      });
+
+      server.useAuth(auth.UserPassword(function(user, pass, cb) {
+        cb(user === 'nodejs' && pass === 'rules');
+      }));
+
+      server.listen(0, 'localhost', function() {
+        var args = ['--proxy',
+                    'http://localhost:' + this.address().port,
+                    '--proxy-user',
+                    'php:rules',
+                    '--write-out',
+                    '%{http_code}',
+                    'http://localhost:' + httpServer.address().port];
+        cpexec('curl', args, function(err, stdout) {
+          server.close();
+          assert(stdout === '407',
+                 makeMsg(what, 'Unexpected response: ' + stdout));
+          next();
+        });
+      });
+    },
+    what: 'HTTP client, invalid credentials'
+  },
+  { run: function() {
+      var what = this.what,
+          server;
+      server = createServer(function(info, accept, deny) {
+        deny();
+      });
+
+      server.useAuth(auth.None());
+
+      server.listen(0, 'localhost', function() {
+        var args = ['--proxy',
+                    'http://localhost:' + this.address().port,
+                    '--write-out',
+                    '%{http_code}',
+                    'http://localhost:' + httpServer.address().port];
+        cpexec('curl', args, function(err, stdout) {
+          server.close();
+          assert(stdout === '403',
+                 makeMsg(what, 'Unexpected response: ' + stdout));
+          next();
+        });
+      });
+    },
+    what: 'HTTP client, deny connection'
+  },
+  { run: function() {
+      var what = this.what,
+          conns = [],
+          server;
+      server = createServer(function(info, accept) {
+        assert(info.cmd === 'udp',
+               makeMsg(what, 'Unexpected command: ' + info.cmd));
+        conns.push(info);
+        accept();
+      });
+
+      server.useAuth(auth.None());
+
+      udpMessages = [];
+      server.on('connectionClosed', function(id, stats) {
+        server.close();
+        // 10-byte header + 'hello' each way
+        assert(stats.srcRxBytes === 15 && stats.trgTxBytes === 5
+               && stats.trgRxBytes === 5 && stats.srcTxBytes === 15,
+               makeMsg(what, 'Bad bandwidth stats: ' + JSON.stringify(stats)));
+        assert(conns.length === 1,
+               makeMsg(what, 'Wrong number of connections'));
+        next();
+      });
+
+      server.listen(0, 'localhost', function() {
+        udpAssociate(this.address().port, 0, function(ctrlSock, relay, udpSock, otherSock) {
+          var port = udpServer.address().port;
+          udpSock.on('message', function(msg) {
+            assert(msg[2] === 0x00 && msg[3] === 0x01
+                   && msg.slice(4, 8).join('.') === '127.0.0.1'
+                   && msg.readUInt16BE(8) === port,
+                   makeMsg(what, 'Bad reply header'));
+            assert(msg.slice(10).toString() === 'hello',
+                   makeMsg(what, 'Response mismatch'));
+            assert(udpMessages.length === 1,
+                   makeMsg(what, 'Fragment was not dropped'));
+            udpSock.close();
+            otherSock.close();
+            ctrlSock.end();
+          });
+          udpSock.send(udpDatagram(1, port, 'fragment'), relay.port, relay.address);
+          udpSock.send(udpDatagram(0, port, 'hello'), relay.port, relay.address);
+        });
+      });
+    },
+    what: 'UDP ASSOCIATE, normal accept'
+  },
+  { run: function() {
+      var what = this.what,
+          server;
+      server = createServer();
+
+      server.useAuth(auth.None());
+
+      udpMessages = [];
+      server.listen(0, 'localhost', function() {
+        var serverPort = this.address().port;
+        udpAssociate(serverPort, null, function(ctrlSock, relay, udpSock, otherSock) {
+          var port = udpServer.address().port;
+          otherSock.send(udpDatagram(0, port, 'intruder'), relay.port, relay.address);
+          udpSock.on('message', function(msg) {
+            assert(msg.slice(10).toString() === 'hello',
+                   makeMsg(what, 'Response mismatch'));
+            assert(udpMessages.length === 1 && udpMessages[0] === 'hello',
+                   makeMsg(what, 'Datagram from another port was relayed'));
+            ctrlSock.on('close', function() {
+              udpSock.close();
+              otherSock.close();
+              server.close();
+              next();
+            });
+            ctrlSock.end();
+          });
+          setTimeout(function() {
+            udpSock.send(udpDatagram(0, port, 'hello'), relay.port, relay.address);
+          }, 50);
+        });
+      });
+    },
+    what: 'UDP ASSOCIATE, datagrams only from the announced port'
+  },
+  { run: function() {
+      var what = this.what,
+          server;
+      server = createServer();
+
+      server.useAuth(auth.None());
+
+      server.listen(0, 'localhost', function() {
+        var clientSock = new Socket(),
+            buf = new Buffer(0),
+            intruderClosed = false,
+            peer;
+
+        clientSock.on('error', function(err) {
+          // ignore errors
+        }).on('connect', function() {
+          clientSock.write(new Buffer([0x05, 0x01, 0x00]));
+        }).on('data', function(chunk) {
+          buf = Buffer.concat([buf, chunk]);
+          if (buf.length === 2) {
+            // expect the peer from 127.0.0.1, any port
+            clientSock.write(new Buffer([0x05, 0x02, 0x00, 0x01, 127, 0, 0, 1,
+                                         0x00, 0x00]));
+          } else if (buf.length === 12) {
+            assert(buf[3] === 0x00,
+                   makeMsg(what, 'First reply failure: ' + buf[3]));
+            var port = buf.readUInt16BE(10);
+            net.connect({ port: port, host: '127.0.0.1', localAddress: '127.0.0.2' })
+              .on('error', function() {
+                // ignore errors
+              }).on('close', function() {
+                intruderClosed = true;
+                peer = net.connect(port, '127.0.0.1', function() {
+                  peer.write('from peer');
+                });
+              });
+          } else if (buf.length >= 22 + 'from peer'.length) {
+            assert(intruderClosed,
+                   makeMsg(what, 'Unexpected peer was not dropped'));
+            assert(buf[13] === 0x00
+                   && buf.slice(16, 20).join('.') === '127.0.0.1'
+                   && buf.readUInt16BE(20) === peer.localPort,
+                   makeMsg(what, 'Bad second reply'));
+            assert(buf.slice(22).toString() === 'from peer',
+                   makeMsg(what, 'Data mismatch'));
+            peer.destroy();
+            clientSock.destroy();
+            server.close();
+            next();
+          }
+        }).connect(this.address().port, '127.0.0.1');
+      });
+    },
+    what: 'BIND, only the expected peer is accepted'
+  },
 ];
 
 function extractCurlError(stderr) {
@@ -297,6 +657,48 @@ function extractCurlError(stderr) {
   return ((m = /(curl: \(\d+\)[\s\S]+)/i.exec(stderr)) && m[1].trim()) || stderr;
 }
 
+// Opens a UDP association announcing the port of the returned UDP socket
+// (null) or any port (0) and passes the control socket, the relay address and
+// the UDP socket(s) to use
+function udpAssociate(serverPort, clientPort, cb) {
+  var ctrlSock = new Socket(),
+      buf = new Buffer(0),
+      udpSock = dgram.createSocket('udp4'),
+      otherSock = dgram.createSocket('udp4');
+  udpSock.bind(0, '127.0.0.1', function() {
+    otherSock.bind(0, '127.0.0.1', function() {
+      var port = (clientPort === null ? udpSock.address().port : clientPort);
+      ctrlSock.on('error', function(err) {
+        // ignore errors
+      }).on('connect', function() {
+        ctrlSock.write(new Buffer([0x05, 0x01, 0x00]));
+      }).on('data', function(chunk) {
+        buf = Buffer.concat([buf, chunk]);
+        if (buf.length === 2) {
+          ctrlSock.write(new Buffer([0x05, 0x03, 0x00, 0x01, 127, 0, 0, 1,
+                                     port >>> 8, port & 0xFF]));
+        } else if (buf.length >= 4) {
+          assert(buf[3] === 0x00, 'UDP ASSOCIATE failed: ' + buf[3]);
+          if (buf.length < 12)
+            return;
+          cb(ctrlSock,
+             { address: buf.slice(6, 10).join('.'), port: buf.readUInt16BE(10) },
+             udpSock,
+             otherSock);
+        }
+      }).connect(serverPort, '127.0.0.1');
+    });
+  });
+}
+
+// Builds a UDP request datagram for 127.0.0.1
+function udpDatagram(frag, port, data) {
+  return Buffer.concat([
+    new Buffer([0x00, 0x00, frag, 0x01, 127, 0, 0, 1, port >>> 8, port & 0xFF]),
+    new Buffer(data)
+  ]);
+}
+
 function next() {
   if (t === tests.length - 1)
     return destroyHttpServer();
@@ -313,6 +715,10 @@ function destroyHttpServer() {
     httpServer.close();
     httpServer = undefined;
   }
+  if (udpServer) {
+    udpServer.close();
+    udpServer = undefined;
+  }
 }
 
 process.once('uncaughtException', function(err) {
@@ -343,5 +749,12 @@ cpexec('curl', ['--help'], function(err) {
     res.statusCode = 200;
     res.end(HTTP_RESPONSE);
   });
-  httpServer.listen(0, 'localhost', next);
+  httpServer.listen(0, 'localhost', function() {
+    // and a UDP echo server for UDP associations
+    udpServer = dgram.createSocket('udp4', function(msg, rinfo) {
+      udpMessages.push(msg.toString());
+      udpServer.send(msg, rinfo.port, rinfo.address);
+    });
+    udpServer.bind(0, '127.0.0.1', next);
+  });
 });
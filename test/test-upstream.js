@@ -0,0 +1,2706 @@
+var UpstreamSocks = require('../index').UpstreamSocks,
+    auth = require('../index').auth,
+    createServer = require('../index').createServer,
+    REP = require('../index').REP,
+    connectChain = require('../lib/upstream').connectChain,
+    UpstreamPools = require('../lib/upstream.pool').UpstreamPools,
+    ConnectionLimits = require('../lib/limits').ConnectionLimits,
+    TokenBucket = require('../lib/throttle').TokenBucket,
+    MetricsRegistry = require('../lib/metrics').MetricsRegistry,
+    Logger = require('../lib/logger').Logger,
+    redact = require('../lib/logger').redact,
+    defaultSessionKey = require('../lib/upstream.sessions').defaultSessionKey;
+
+var cpexec = require('child_process').execFile,
+    net = require('net'),
+    dgram = require('dgram'),
+    http = require('http'),
+    path = require('path'),
+    assert = require('assert');
+
+var t = -1,
+    group = path.basename(__filename, '.js') + '/',
+    httpServer,
+    upstreamServer,
+    upstreamConns = 0,
+    httpUpstreamServer,
+    httpUpstreamConns = 0,
+    socks4UpstreamServer,
+    socks4Requests = [],
+    udpServer,
+    bulkServer;
+
+// Logger of the servers whose logs the tests don't check
+var quietLogger = {
+  debug: function() {},
+  info: function() {},
+  warn: function() {},
+  error: function() {}
+};
+
+var HTTP_RESPONSE = 'hello from the node.js http server!',
+    BULK_SIZE = 30000;
+
+var tests = [
+  { run: function() {
+      var what = this.what,
+          authCalls = [],
+          prepareCalls = 0,
+          proxy;
+      proxy = new UpstreamSocks({
+        port: 0,
+        host: 'localhost',
+        logger: quietLogger,
+        requireAuthentication: true,
+        authenticateFunction: function(info) {
+          authCalls.push(info);
+          return Promise.resolve(info.username === 'nodejs'
+                                 && info.password === 'rules');
+        },
+        prepareRequestFunction: function(info) {
+          ++prepareCalls;
+          assert(info.username === 'nodejs',
+                 makeMsg(what, 'Unexpected username: ' + info.username));
+          return { upstreamProxy: upstreamProxy() };
+        }
+      });
+      proxy.on('authFailed', function() {
+        assert(false, makeMsg(what, 'Unexpected authFailed event'));
+      });
+
+      proxy.listen(function() {
+        curl(proxy, 'nodejs:rules', function(err, stdout, stderr) {
+          proxy.close();
+          assert(!err, makeMsg(what, 'Unexpected client error: '
+                                     + extractCurlError(stderr)));
+          assert(stdout === HTTP_RESPONSE,
+                 makeMsg(what, 'Response mismatch'));
+          assert(authCalls.length === 1,
+                 makeMsg(what, 'Wrong number of authentications'));
+          assert(typeof authCalls[0].clientAddress === 'string'
+                 && typeof authCalls[0].connectionId === 'string',
+                 makeMsg(what, 'Missing client information'));
+          assert(prepareCalls === 1,
+                 makeMsg(what, 'Wrong number of prepareRequestFunction calls'));
+          next();
+        });
+      });
+    },
+    what: 'authenticateFunction (valid credentials)'
+  },
+  { run: function() {
+      var what = this.what,
+          failures = [],
+          proxy;
+      proxy = new UpstreamSocks({
+        port: 0,
+        host: 'localhost',
+        logger: quietLogger,
+        requireAuthentication: true,
+        authenticateFunction: async function(info) {
+          return info.username === 'nodejs' && info.password === 'rules';
+        },
+        prepareRequestFunction: function() {
+          assert(false, makeMsg(what, 'Unexpected prepareRequestFunction call'));
+        }
+      });
+      proxy.on('authFailed', function(info) {
+        failures.push(info);
+      });
+
+      proxy.listen(function() {
+        curl(proxy, 'php:rules', function(err) {
+          proxy.close();
+          assert(err, makeMsg(what, 'Expected client error'));
+          assert(failures.length === 1,
+                 makeMsg(what, 'Wrong number of authFailed events'));
+          assert(failures[0].username === 'php'
+                 && failures[0].password === undefined
+                 && failures[0].error === null,
+                 makeMsg(what, 'Bad authFailed event'));
+          next();
+        });
+      });
+    },
+    what: 'authenticateFunction (invalid credentials)'
+  },
+  { run: function() {
+      var what = this.what,
+          failures = [],
+          proxy;
+      proxy = new UpstreamSocks({
+        port: 0,
+        host: 'localhost',
+        logger: quietLogger,
+        requireAuthentication: true,
+        authenticateFunction: async function() {
+          throw new Error('database unavailable');
+        },
+        prepareRequestFunction: function() {
+          assert(false, makeMsg(what, 'Unexpected prepareRequestFunction call'));
+        }
+      });
+      proxy.on('authFailed', function(info) {
+        failures.push(info);
+      });
+
+      proxy.listen(function() {
+        curl(proxy, 'nodejs:rules', function(err) {
+          proxy.close();
+          assert(err, makeMsg(what, 'Expected client error'));
+          assert(failures.length === 1
+                 && /database unavailable/.test(failures[0].error.message),
+                 makeMsg(what, 'Bad authFailed event'));
+          next();
+        });
+      });
+    },
+    what: 'authenticateFunction (rejection)'
+  },
+  { run: function() {
+      var what = this.what,
+          authCalls = [],
+          prepareCalls = [],
+          failures = [],
+          proxy;
+      proxy = new UpstreamSocks({
+        port: 0,
+        host: 'localhost',
+        logger: quietLogger,
+        requireAuthentication: true,
+        usernameParser: true,
+        authenticateFunction: function(info) {
+          authCalls.push(info);
+          return info.username === 'nodejs' && info.password === 'rules';
+        },
+        prepareRequestFunction: function(info) {
+          prepareCalls.push(info);
+          return { upstreamProxy: upstreamProxy() };
+        }
+      });
+      proxy.on('authFailed', function(info) {
+        failures.push(info);
+      });
+
+      proxy.listen(function() {
+        curl(proxy, 'nodejs-country-us-session-xyz:rules', function(err, stdout, stderr) {
+          assert(!err, makeMsg(what, 'Unexpected client error: '
+                                     + extractCurlError(stderr)));
+          assert(authCalls.length === 1 && prepareCalls.length === 1,
+                 makeMsg(what, 'Wrong number of calls'));
+          [authCalls[0], prepareCalls[0]].forEach(function(info) {
+            assert(info.username === 'nodejs'
+                   && info.rawUsername === 'nodejs-country-us-session-xyz',
+                   makeMsg(what, 'Unexpected username: ' + info.username));
+            assert.deepEqual(info.usernameOptions,
+                             { country: 'us', session: 'xyz' },
+                             makeMsg(what, 'Unexpected username options'));
+          });
+          curl(proxy, 'nodejs-country-usa:rules', function(err) {
+            proxy.close();
+            assert(err, makeMsg(what, 'Expected client error'));
+            assert(authCalls.length === 1 && prepareCalls.length === 1,
+                   makeMsg(what, 'Invalid username got through'));
+            assert(failures.length === 1
+                   && failures[0].username === 'nodejs-country-usa'
+                   && /username option 'country'/.test(failures[0].error.message),
+                   makeMsg(what, 'Bad authFailed event'));
+            next();
+          });
+        });
+      });
+    },
+    what: 'Username options parser'
+  },
+  { run: function() {
+      var what = this.what,
+          proxy;
+      proxy = new UpstreamSocks({
+        port: 0,
+        host: 'localhost',
+        logger: quietLogger,
+        prepareRequestFunction: function(info) {
+          return new Promise(function(resolve) {
+            setTimeout(function() {
+              resolve({ upstreamProxy: upstreamProxy() });
+            }, 50);
+          });
+        }
+      });
+
+      proxy.listen(function() {
+        curl(proxy, null, function(err, stdout, stderr) {
+          proxy.close();
+          assert(!err, makeMsg(what, 'Unexpected client error: '
+                                     + extractCurlError(stderr)));
+          assert(stdout === HTTP_RESPONSE,
+                 makeMsg(what, 'Response mismatch'));
+          next();
+        });
+      });
+    },
+    what: 'Async prepareRequestFunction'
+  },
+  { run: function() {
+      var what = this.what,
+          proxy;
+      proxy = new UpstreamSocks({
+        port: 0,
+        host: 'localhost',
+        logger: quietLogger,
+        prepareRequestFunction: async function() {
+          var err = new Error('no upstream for this customer');
+          err.rep = REP.NETUNREACH;
+          throw err;
+        }
+      });
+
+      proxy.listen(function() {
+        rawConnect(proxy, function(rep) {
+          proxy.close();
+          assert(rep === REP.NETUNREACH,
+                 makeMsg(what, 'Unexpected reply code: ' + rep));
+          next();
+        });
+      });
+    },
+    what: 'Async prepareRequestFunction (rejection with reply code)'
+  },
+  { run: function() {
+      var what = this.what,
+          proxy;
+      proxy = new UpstreamSocks({
+        port: 0,
+        host: 'localhost',
+        logger: quietLogger,
+        prepareRequestTimeout: 50,
+        prepareRequestFunction: function() {
+          return new Promise(function() {});
+        }
+      });
+
+      proxy.listen(function() {
+        rawConnect(proxy, function(rep) {
+          proxy.close();
+          assert(rep === REP.TTLEXPIRED,
+                 makeMsg(what, 'Unexpected reply code: ' + rep));
+          next();
+        });
+      });
+    },
+    what: 'Async prepareRequestFunction (timeout)'
+  },
+  { run: function() {
+      var what = this.what,
+          failures = [],
+          proxy;
+      proxy = new UpstreamSocks({
+        port: 0,
+        host: 'localhost',
+        logger: quietLogger,
+        prepareRequestFunction: function() {
+          return Promise.reject();
+        }
+      });
+      proxy.on('requestFailed', function(info) {
+        failures.push(info);
+      });
+
+      proxy.listen(function() {
+        rawConnect(proxy, function(rep) {
+          proxy.close();
+          assert(rep === REP.GENFAIL,
+                 makeMsg(what, 'Unexpected reply code: ' + rep));
+          assert(failures.length === 1
+                 && failures[0].category === 'prepare_request'
+                 && failures[0].error instanceof Error,
+                 makeMsg(what, 'Bad requestFailed event'));
+          next();
+        });
+      });
+    },
+    what: 'Async prepareRequestFunction (rejection without reason)'
+  },
+  { run: function() {
+      var what = this.what,
+          before = upstreamConns,
+          closed,
+          curlDone = false,
+          proxy;
+      proxy = new UpstreamSocks({
+        port: 0,
+        host: 'localhost',
+        logger: quietLogger,
+        prepareRequestFunction: function() {
+          return { upstreamProxy: null };
+        }
+      });
+      proxy.on('connectionClosed', function(info) {
+        closed = info;
+        check();
+      });
+
+      function check() {
+        if (!closed || !curlDone)
+          return;
+        proxy.close();
+        assert(closed.stats.srcRxBytes > 0
+               && closed.stats.srcRxBytes === closed.stats.trgTxBytes,
+               makeMsg(what, 'Bad upload stats'));
+        assert(closed.stats.trgRxBytes > 0
+               && closed.stats.trgRxBytes === closed.stats.srcTxBytes,
+               makeMsg(what, 'Bad download stats'));
+        next();
+      }
+
+      proxy.listen(function() {
+        curl(proxy, null, function(err, stdout, stderr) {
+          assert(!err, makeMsg(what, 'Unexpected client error: '
+                                     + extractCurlError(stderr)));
+          assert(stdout === HTTP_RESPONSE,
+                 makeMsg(what, 'Response mismatch'));
+          assert(upstreamConns === before,
+                 makeMsg(what, 'Unexpected upstream connection'));
+          curlDone = true;
+          check();
+        });
+      });
+    },
+    what: 'Direct egress without upstream proxy'
+  },
+  { run: function() {
+      var what = this.what,
+          before = httpUpstreamConns,
+          proxy;
+      proxy = new UpstreamSocks({
+        port: 0,
+        host: 'localhost',
+        logger: quietLogger,
+        prepareRequestFunction: function() {
+          return {
+            upstreamProxy: {
+              protocol: 'http',
+              host: 'localhost',
+              port: httpUpstreamServer.address().port,
+              auth: { username: 'nodejs', password: 'rules' },
+              headers: { 'X-Session': 'abc123' }
+            }
+          };
+        }
+      });
+
+      proxy.listen(function() {
+        curl(proxy, null, function(err, stdout, stderr) {
+          proxy.close();
+          assert(!err, makeMsg(what, 'Unexpected client error: '
+                                     + extractCurlError(stderr)));
+          assert(stdout === HTTP_RESPONSE,
+                 makeMsg(what, 'Response mismatch'));
+          assert(httpUpstreamConns === before + 1,
+                 makeMsg(what, 'Expected HTTP upstream connection'));
+          next();
+        });
+      });
+    },
+    what: 'HTTP CONNECT upstream proxy'
+  },
+  { run: function() {
+      var what = this.what,
+          proxy;
+      proxy = new UpstreamSocks({
+        port: 0,
+        host: 'localhost',
+        logger: quietLogger,
+        prepareRequestFunction: function() {
+          return {
+            upstreamProxy: {
+              protocol: 'http',
+              host: 'localhost',
+              port: httpUpstreamServer.address().port,
+              auth: { username: 'php', password: 'rules' }
+            }
+          };
+        }
+      });
+
+      proxy.listen(function() {
+        rawConnect(proxy, function(rep) {
+          proxy.close();
+          assert(rep === REP.GENFAIL,
+                 makeMsg(what, 'Unexpected reply code: ' + rep));
+          next();
+        });
+      });
+    },
+    what: 'HTTP CONNECT upstream proxy (407 response)'
+  },
+  { run: function() {
+      var what = this.what,
+          proxy;
+      proxy = new UpstreamSocks({
+        port: 0,
+        host: 'localhost',
+        logger: quietLogger,
+        prepareRequestFunction: function() {
+          return {
+            upstreamProxy: {
+              protocol: 'http',
+              host: 'localhost',
+              port: httpUpstreamServer.address().port,
+              auth: { username: 'nodejs', password: 'rules' },
+              headers: { 'X-Session': 'blocked' }
+            }
+          };
+        }
+      });
+
+      proxy.listen(function() {
+        rawConnect(proxy, function(rep) {
+          proxy.close();
+          assert(rep === REP.DISALLOW,
+                 makeMsg(what, 'Unexpected reply code: ' + rep));
+          next();
+        });
+      });
+    },
+    what: 'HTTP CONNECT upstream proxy (403 response)'
+  },
+  { run: function() {
+      var what = this.what,
+          before = socks4Requests.length,
+          proxy;
+      proxy = new UpstreamSocks({
+        port: 0,
+        host: 'localhost',
+        logger: quietLogger,
+        prepareRequestFunction: function() {
+          return {
+            upstreamProxy: {
+              type: 4,
+              host: 'localhost',
+              port: socks4UpstreamServer.address().port,
+              auth: { username: 'nodejs' }
+            }
+          };
+        }
+      });
+
+      proxy.listen(function() {
+        curl(proxy, null, function(err, stdout, stderr) {
+          proxy.close();
+          assert(!err, makeMsg(what, 'Unexpected client error: '
+                                     + extractCurlError(stderr)));
+          assert(stdout === HTTP_RESPONSE,
+                 makeMsg(what, 'Response mismatch'));
+          assert(socks4Requests.length === before + 1,
+                 makeMsg(what, 'Expected SOCKS4 upstream request'));
+          var req = socks4Requests[before];
+          assert(req.dstAddr === '127.0.0.1' && req.hostname === undefined,
+                 makeMsg(what, 'Hostname was not resolved locally'));
+          assert(req.userId === 'nodejs',
+                 makeMsg(what, 'Unexpected userId: ' + req.userId));
+          next();
+        }, true);
+      });
+    },
+    what: 'SOCKS4 upstream proxy'
+  },
+  { run: function() {
+      var what = this.what,
+          before = socks4Requests.length,
+          proxy;
+      proxy = new UpstreamSocks({
+        port: 0,
+        host: 'localhost',
+        logger: quietLogger,
+        prepareRequestFunction: function() {
+          return {
+            upstreamProxy: {
+              protocol: 'socks4a',
+              host: 'localhost',
+              port: socks4UpstreamServer.address().port
+            }
+          };
+        }
+      });
+
+      proxy.listen(function() {
+        curl(proxy, null, function(err, stdout, stderr) {
+          proxy.close();
+          assert(!err, makeMsg(what, 'Unexpected client error: '
+                                     + extractCurlError(stderr)));
+          assert(stdout === HTTP_RESPONSE,
+                 makeMsg(what, 'Response mismatch'));
+          assert(socks4Requests.length === before + 1
+                 && socks4Requests[before].hostname === 'localhost',
+                 makeMsg(what, 'Hostname was not passed to the upstream'));
+          next();
+        }, true);
+      });
+    },
+    what: 'SOCKS4a upstream proxy'
+  },
+  { run: function() {
+      var what = this.what,
+          before = [upstreamConns, httpUpstreamConns, socks4Requests.length],
+          closed,
+          curlDone = false,
+          proxy;
+      proxy = new UpstreamSocks({
+        port: 0,
+        host: 'localhost',
+        logger: quietLogger,
+        prepareRequestFunction: function() {
+          return {
+            upstreamProxy: [
+              upstreamProxy(),
+              {
+                protocol: 'http',
+                host: 'localhost',
+                port: httpUpstreamServer.address().port,
+                auth: { username: 'nodejs', password: 'rules' }
+              },
+              {
+                protocol: 'socks4a',
+                host: 'localhost',
+                port: socks4UpstreamServer.address().port
+              }
+            ]
+          };
+        }
+      });
+      proxy.on('connectionClosed', function(info) {
+        closed = info;
+        check();
+      });
+
+      function check() {
+        if (!closed || !curlDone)
+          return;
+        proxy.close();
+        var hops = closed.stats.hops;
+        assert(Array.isArray(hops) && hops.length === 3,
+               makeMsg(what, 'Missing hop stats'));
+        assert.deepEqual(hops.map(function(hop) { return hop.protocol; }),
+                         ['socks5', 'http', 'socks4a'],
+                         makeMsg(what, 'Unexpected hop protocols'));
+        hops.forEach(function(hop) {
+          assert(typeof hop.duration === 'number' && !hop.error,
+                 makeMsg(what, 'Bad hop stats'));
+        });
+        assert.deepEqual([upstreamConns, httpUpstreamConns, socks4Requests.length],
+                         before.map(function(n) { return n + 1; }),
+                         makeMsg(what, 'Traffic did not go through every hop'));
+        next();
+      }
+
+      proxy.listen(function() {
+        curl(proxy, null, function(err, stdout, stderr) {
+          assert(!err, makeMsg(what, 'Unexpected client error: '
+                                     + extractCurlError(stderr)));
+          assert(stdout === HTTP_RESPONSE,
+                 makeMsg(what, 'Response mismatch'));
+          curlDone = true;
+          check();
+        }, true);
+      });
+    },
+    what: 'Upstream proxy chain'
+  },
+  { run: function() {
+      var what = this.what,
+          closedServer = net.createServer();
+      closedServer.listen(0, 'localhost', function() {
+        var deadPort = closedServer.address().port;
+        closedServer.close(function() {
+          connectChain([
+            upstreamProxy(),
+            { host: '127.0.0.1', port: deadPort },
+            upstreamProxy()
+          ], {
+            host: 'localhost',
+            port: httpServer.address().port
+          }).then(function() {
+            assert(false, makeMsg(what, 'Expected chain to fail'));
+          }, function(err) {
+            // the first hop is the one that could not reach the dead second one
+            assert(err.hop === 0,
+                   makeMsg(what, 'Unexpected failed hop: ' + err.hop));
+            assert(/^Hop 1\/3 \(localhost:\d+\) failed to reach 127\.0\.0\.1:/
+                     .test(err.message),
+                   makeMsg(what, 'Unexpected error: ' + err.message));
+            assert(err.hops.length === 1
+                   && typeof err.hops[0].error === 'string'
+                   && typeof err.hops[0].duration === 'number',
+                   makeMsg(what, 'Bad hop information'));
+            assert(err.category === 'upstream_reply'
+                   && err.rep === REP.CONNREFUSED,
+                   makeMsg(what, 'Bad classification: ' + err.category
+                                 + '/' + err.rep));
+            next();
+          });
+        });
+      });
+    },
+    what: 'Upstream proxy chain (failed hop)'
+  },
+  { run: function() {
+      var what = this.what,
+          requests = [],
+          proxy;
+      proxy = new UpstreamSocks({
+        port: 0,
+        host: 'localhost',
+        logger: quietLogger,
+        prepareRequestFunction: function(info) {
+          requests.push(info);
+          return { upstreamProxy: upstreamProxy() };
+        }
+      });
+
+      proxy.listen(function() {
+        var args = ['--socks4a',
+                    'localhost:' + proxy.server.address().port,
+                    '-U',
+                    'nodejs:',
+                    'http://localhost:' + httpServer.address().port];
+        cpexec('curl', args, function(err, stdout, stderr) {
+          proxy.close();
+          assert(!err, makeMsg(what, 'Unexpected client error: '
+                                     + extractCurlError(stderr)));
+          assert(stdout === HTTP_RESPONSE,
+                 makeMsg(what, 'Response mismatch'));
+          assert(requests.length === 1
+                 && requests[0].version === 4
+                 && requests[0].userId === 'nodejs'
+                 && requests[0].hostname === 'localhost',
+                 makeMsg(what, 'Bad request information'));
+          next();
+        });
+      });
+    },
+    what: 'SOCKS4a client'
+  },
+  { run: function() {
+      var what = this.what,
+          authInfos = [],
+          requests = [],
+          proxy;
+      proxy = new UpstreamSocks({
+        port: 0,
+        host: 'localhost',
+        logger: quietLogger,
+        requireAuthentication: true,
+        authenticateFunction: function(info) {
+          authInfos.push(info);
+          return info.username === 'nodejs' && info.password === 'rules';
+        },
+        prepareRequestFunction: function(info) {
+          requests.push(info);
+          return { upstreamProxy: upstreamProxy() };
+        }
+      });
+
+      proxy.listen(function() {
+        var args = ['--proxy',
+                    'http://localhost:' + proxy.server.address().port,
+                    '--proxy-user',
+                    'nodejs:rules',
+                    'http://localhost:' + httpServer.address().port];
+        cpexec('curl', args, function(err, stdout, stderr) {
+          proxy.close();
+          assert(!err, makeMsg(what, 'Unexpected client error: '
+                                     + extractCurlError(stderr)));
+          assert(stdout === HTTP_RESPONSE,
+                 makeMsg(what, 'Response mismatch'));
+          assert(authInfos.length === 1,
+                 makeMsg(what, 'Expected a single authentication'));
+          assert(requests.length === 1
+                 && requests[0].protocol === 'http'
+                 && requests[0].username === 'nodejs'
+                 && requests[0].hostname === 'localhost',
+                 makeMsg(what, 'Bad request information'));
+          next();
+        });
+      });
+    },
+    what: 'HTTP proxy client'
+  },
+  { run: function() {
+      var what = this.what,
+          before = upstreamConns,
+          requests = [],
+          closed,
+          proxy;
+      proxy = new UpstreamSocks({
+        port: 0,
+        host: 'localhost',
+        logger: quietLogger,
+        prepareRequestFunction: function(info) {
+          requests.push(info);
+          return { upstreamProxy: upstreamProxy() };
+        }
+      });
+      proxy.on('connectionClosed', function(info) {
+        proxy.close();
+        closed = info;
+        assert(upstreamConns === before + 1,
+               makeMsg(what, 'Association did not go through the upstream'));
+        assert(requests.length === 1 && requests[0].command === 'udp',
+               makeMsg(what, 'Bad request information'));
+        assert.deepEqual(closed.stats.udp,
+                         { srcRxPackets: 1, srcTxPackets: 1,
+                           trgRxPackets: 1, trgTxPackets: 1,
+                           droppedPackets: 0 },
+                         makeMsg(what, 'Bad packet counters: '
+                                       + JSON.stringify(closed.stats.udp)));
+        assert(closed.stats.trgTxBytes === 5 && closed.stats.trgRxBytes === 5,
+               makeMsg(what, 'Bad byte counters'));
+        assert(closed.stats.hops.length === 1,
+               makeMsg(what, 'Bad hop information'));
+        next();
+      });
+
+      proxy.listen(function() {
+        udpAssociate(proxy, function(ctrlSock, relay, udpSock) {
+          var port = udpServer.address().port;
+          udpSock.on('message', function(msg) {
+            // The reply header carries the echo server address, resolved
+            // by the upstream from the hostname sent by the client
+            assert(msg[3] === 0x01
+                   && msg.slice(4, 8).join('.') === '127.0.0.1'
+                   && msg.readUInt16BE(8) === port,
+                   makeMsg(what, 'Bad reply header'));
+            assert(msg.slice(10).toString() === 'hello',
+                   makeMsg(what, 'Response mismatch'));
+            udpSock.close();
+            ctrlSock.end();
+          });
+          udpSock.send(Buffer.concat([
+            new Buffer([0x00, 0x00, 0x00, 0x03, 9]),
+            new Buffer('localhost'),
+            new Buffer([port >>> 8, port & 0xFF]),
+            new Buffer('hello')
+          ]), relay.port, relay.address);
+        });
+      });
+    },
+    what: 'UDP ASSOCIATE through a SOCKS5 upstream proxy'
+  },
+  { run: function() {
+      var what = this.what,
+          failures = [],
+          proxy;
+      deadPort(function(port) {
+        proxy = new UpstreamSocks({
+          port: 0,
+          host: 'localhost',
+          logger: quietLogger,
+          prepareRequestFunction: function() {
+            return { upstreamProxy: upstreamProxy() };
+          }
+        });
+        proxy.on('requestFailed', function(info) {
+          failures.push(info);
+        });
+
+        proxy.listen(function() {
+          rawConnect(proxy, function(rep) {
+            proxy.close();
+            assert(rep === REP.CONNREFUSED,
+                   makeMsg(what, 'Unexpected reply code: ' + rep));
+            assert(failures.length === 1,
+                   makeMsg(what, 'Wrong number of requestFailed events'));
+            assert(failures[0].category === 'upstream_reply'
+                   && failures[0].rep === REP.CONNREFUSED
+                   && failures[0].destination.port === port
+                   && failures[0].upstream.port === upstreamServer.address().port
+                   && failures[0].upstream.protocol === 'socks5'
+                   && failures[0].error instanceof Error,
+                   makeMsg(what, 'Bad requestFailed event'));
+            next();
+          }, port);
+        });
+      });
+    },
+    what: 'Upstream reply code propagated to the client'
+  },
+  { run: function() {
+      var what = this.what,
+          failures = [],
+          proxy;
+      deadPort(function(port) {
+        proxy = new UpstreamSocks({
+          port: 0,
+          host: 'localhost',
+          logger: quietLogger,
+          prepareRequestFunction: function() {
+            return { upstreamProxy: { host: '127.0.0.1', port: port } };
+          }
+        });
+        proxy.on('requestFailed', function(info) {
+          failures.push(info);
+        });
+
+        proxy.listen(function() {
+          rawConnect(proxy, function(rep) {
+            proxy.close();
+            assert(rep === REP.NETUNREACH,
+                   makeMsg(what, 'Unexpected reply code: ' + rep));
+            assert(failures.length === 1
+                   && failures[0].category === 'upstream_unreachable',
+                   makeMsg(what, 'Bad requestFailed event'));
+            next();
+          });
+        });
+      });
+    },
+    what: 'Unreachable upstream proxy'
+  },
+  { run: function() {
+      var what = this.what,
+          closed,
+          curlDone = false,
+          proxy;
+      deadPort(function(port) {
+        proxy = new UpstreamSocks({
+          port: 0,
+          host: 'localhost',
+          logger: quietLogger,
+          prepareRequestFunction: function() {
+            return {
+              upstreamPool: {
+                upstreams: [{ host: '127.0.0.1', port: port }, upstreamProxy()]
+              }
+            };
+          }
+        });
+        proxy.on('connectionClosed', function(info) {
+          closed = info;
+          check();
+        });
+
+        function check() {
+          if (!closed || !curlDone)
+            return;
+          proxy.close();
+          var attempts = closed.stats.attempts;
+          assert(Array.isArray(attempts) && attempts.length === 2,
+                 makeMsg(what, 'Missing attempt stats'));
+          assert(attempts[0].upstream.port === port
+                 && attempts[0].category === 'upstream_unreachable'
+                 && attempts[0].rep === REP.NETUNREACH
+                 && typeof attempts[0].error === 'string'
+                 && typeof attempts[0].duration === 'number',
+                 makeMsg(what, 'Bad failed attempt'));
+          assert(attempts[1].upstream.port === upstreamServer.address().port
+                 && !attempts[1].error,
+                 makeMsg(what, 'Bad successful attempt'));
+          next();
+        }
+
+        proxy.listen(function() {
+          curl(proxy, null, function(err, stdout, stderr) {
+            assert(!err, makeMsg(what, 'Unexpected client error: '
+                                       + extractCurlError(stderr)));
+            assert(stdout === HTTP_RESPONSE,
+                   makeMsg(what, 'Response mismatch'));
+            curlDone = true;
+            check();
+          });
+        });
+      });
+    },
+    what: 'Upstream pool (failover)'
+  },
+  { run: function() {
+      var what = this.what,
+          changes = [],
+          proxy = new UpstreamSocks({
+            port: 0,
+            host: 'localhost',
+            logger: quietLogger,
+            healthCheck: { maxConsecutiveFailures: 1 },
+            prepareRequestFunction: function() {
+              return {
+                upstreamPool: {
+                  upstreams: [{ host: 'no-such-host.invalid', port: 1080 }, upstreamProxy()]
+                }
+              };
+            }
+          });
+      proxy.on('upstreamHealthChanged', function(change) {
+        changes.push(change);
+      });
+      proxy.once('connectionClosed', function(info) {
+        var attempts = info.stats.attempts;
+        proxy.close();
+        assert(attempts.length === 2
+               && attempts[0].category === 'upstream_unreachable'
+               && !attempts[1].error,
+               makeMsg(what, 'Bad attempts: ' + JSON.stringify(attempts)));
+        assert(changes.length === 1
+               && changes[0].upstream.host === 'no-such-host.invalid'
+               && changes[0].healthy === false,
+               makeMsg(what, 'Unresolvable upstream not ejected'));
+        next();
+      });
+
+      proxy.listen(function() {
+        rawConnect(proxy, function(rep) {
+          assert(rep === 0x00, makeMsg(what, 'Unexpected reply code: ' + rep));
+        });
+      });
+    },
+    what: 'Upstream pool (unresolvable upstream)'
+  },
+  { run: function() {
+      var what = this.what,
+          failures = [],
+          proxy;
+      deadPort(function(port) {
+        proxy = new UpstreamSocks({
+          port: 0,
+          host: 'localhost',
+          logger: quietLogger,
+          prepareRequestFunction: function() {
+            return {
+              upstreamPool: {
+                upstreams: [
+                  { host: '127.0.0.1', port: port },
+                  { host: '127.0.0.1', port: port, type: 4 },
+                  upstreamProxy()
+                ],
+                maxAttempts: 2
+              }
+            };
+          }
+        });
+        proxy.on('requestFailed', function(info) {
+          failures.push(info);
+        });
+
+        proxy.listen(function() {
+          rawConnect(proxy, function(rep) {
+            proxy.close();
+            assert(rep === REP.NETUNREACH,
+                   makeMsg(what, 'Unexpected reply code: ' + rep));
+            assert(failures.length === 1
+                   && failures[0].attempts.length === 2
+                   && failures[0].upstream.protocol === 'socks4',
+                   makeMsg(what, 'Bad requestFailed event'));
+            next();
+          });
+        });
+      });
+    },
+    what: 'Upstream pool (attempt budget)'
+  },
+  { run: function() {
+      var what = this.what,
+          failures = [],
+          silentServer = net.createServer(function(socket) {
+            // never answers the SOCKS5 greeting
+            socket.on('error', function() {});
+          }),
+          proxy;
+      silentServer.listen(0, 'localhost', function() {
+        var silent = { host: 'localhost', port: silentServer.address().port };
+        proxy = new UpstreamSocks({
+          port: 0,
+          host: 'localhost',
+          logger: quietLogger,
+          prepareRequestFunction: function() {
+            return {
+              upstreamPool: {
+                upstreams: [silent, upstreamProxy()],
+                deadline: 200
+              }
+            };
+          }
+        });
+        proxy.on('requestFailed', function(info) {
+          failures.push(info);
+        });
+
+        proxy.listen(function() {
+          rawConnect(proxy, function(rep) {
+            proxy.close();
+            silentServer.close();
+            assert(rep === REP.TTLEXPIRED,
+                   makeMsg(what, 'Unexpected reply code: ' + rep));
+            assert(failures.length === 1
+                   && failures[0].category === 'timeout'
+                   && failures[0].attempts.length === 1,
+                   makeMsg(what, 'Bad requestFailed event'));
+            next();
+          });
+        });
+      });
+    },
+    what: 'Upstream pool (deadline)'
+  },
+  { run: function() {
+      var what = this.what,
+          pools = new UpstreamPools(),
+          pool = {
+            upstreams: [
+              { host: 'a', port: 1 },
+              { host: 'b', port: 1 },
+              { upstreamProxy: { host: 'c', port: 1 }, weight: 0 }
+            ]
+          };
+
+      function hosts(members) {
+        return members.map(function(member) {
+          return member.hops[0].host;
+        }).join('');
+      }
+
+      assert.deepEqual([hosts(pools.order(pool)), hosts(pools.order(pool)),
+                        hosts(pools.order(pool)), hosts(pools.order(pool))],
+                       ['abc', 'bca', 'cab', 'abc'],
+                       makeMsg(what, 'Unexpected round-robin order'));
+
+      pool.strategy = 'weighted-random';
+      for (var i = 0; i < 20; ++i) {
+        assert(hosts(pools.order(pool))[2] === 'c',
+               makeMsg(what, 'Zero weight member picked before others'));
+      }
+
+      pool.strategy = 'least-connections';
+      pools.acquire('socks5://a:1');
+      pools.acquire('socks5://b:1');
+      pools.acquire('socks5://b:1');
+      assert(hosts(pools.order(pool)) === 'cab',
+             makeMsg(what, 'Unexpected least-connections order'));
+      pools.release('socks5://b:1');
+      pools.release('socks5://b:1');
+      assert(hosts(pools.order(pool)) === 'bca',
+             makeMsg(what, 'Connection counts not released'));
+
+      pool.strategy = 'fastest';
+      assert.throws(function() {
+        pools.order(pool);
+      }, /Unsupported upstream pool strategy/);
+      next();
+    },
+    what: 'Upstream pool strategies'
+  },
+  { run: function() {
+      var what = this.what,
+          changes = [],
+          proxy;
+      deadPort(function(port) {
+        var dead = { host: '127.0.0.1', port: port },
+            deadKey = 'socks5://127.0.0.1:' + port;
+        proxy = new UpstreamSocks({
+          port: 0,
+          host: 'localhost',
+          logger: quietLogger,
+          healthCheck: { maxConsecutiveFailures: 2, ejectionTime: 60000 },
+          prepareRequestFunction: function() {
+            return {
+              upstreamPool: {
+                upstreams: [dead, upstreamProxy()],
+                strategy: 'least-connections'
+              }
+            };
+          }
+        });
+        proxy.on('upstreamHealthChanged', function(change) {
+          changes.push(change);
+        });
+
+        function health() {
+          return proxy.getUpstreamHealth().filter(function(state) {
+            return state.key === deadKey;
+          })[0];
+        }
+
+        proxy.listen(function() {
+          rawConnect(proxy, function(rep) {
+            assert(rep === 0x00, makeMsg(what, 'Failover failed: ' + rep));
+            rawConnect(proxy, function() {
+              assert(changes.length === 1
+                     && changes[0].key === deadKey
+                     && changes[0].healthy === false
+                     && changes[0].reason === 'consecutive_failures'
+                     && changes[0].upstream.port === port
+                     && changes[0].ejectedUntil > Date.now(),
+                     makeMsg(what, 'Missing ejection event'));
+              rawConnect(proxy, function(rep) {
+                proxy.close();
+                assert(rep === 0x00, makeMsg(what, 'Unexpected reply: ' + rep));
+                var state = health();
+                assert(state.healthy === false
+                       && state.consecutiveFailures === 2
+                       && state.ejections === 1
+                       && typeof state.lastError === 'string',
+                       makeMsg(what, 'Ejected upstream still attempted'));
+                next();
+              });
+            });
+          });
+        });
+      });
+    },
+    what: 'Passive upstream health (ejection)'
+  },
+  { run: function() {
+      var what = this.what,
+          changes = [],
+          username = 'expired',
+          gateway = createServer(function(info, accept) {
+            accept();
+          }),
+          proxy;
+      gateway.useAuth(auth.UserPassword(function(user, pass, cb) {
+        cb(user === 'valid');
+      }));
+      gateway.listen(0, 'localhost', function() {
+        proxy = new UpstreamSocks({
+          port: 0,
+          host: 'localhost',
+          logger: quietLogger,
+          healthCheck: { maxConsecutiveFailures: 1 },
+          prepareRequestFunction: function() {
+            return {
+              upstreamProxy: { host: 'localhost', port: gateway.address().port,
+                               auth: { username: username, password: 'pass' } }
+            };
+          }
+        });
+        proxy.on('upstreamHealthChanged', function(change) {
+          changes.push(change);
+        });
+
+        proxy.listen(function() {
+          // One customer's credentials fail, the gateway stays up for others
+          rawConnect(proxy, function(rep) {
+            assert(rep === REP.GENFAIL, makeMsg(what, 'Unexpected reply: ' + rep));
+            rawConnect(proxy, function(rep) {
+              assert(rep === REP.GENFAIL, makeMsg(what, 'Unexpected reply: ' + rep));
+              username = 'valid';
+              rawConnect(proxy, function(rep) {
+                proxy.close();
+                gateway.close();
+                assert(rep === 0x00, makeMsg(what, 'Unexpected reply: ' + rep));
+                assert(changes.length === 0,
+                       makeMsg(what, 'Gateway ejected: ' + JSON.stringify(changes)));
+                next();
+              });
+            });
+          });
+        });
+      });
+    },
+    what: 'Passive upstream health (rejected credentials)'
+  },
+  { run: function() {
+      var what = this.what,
+          changes = [],
+          proxy;
+      deadPort(function(port) {
+        proxy = new UpstreamSocks({
+          port: 0,
+          host: 'localhost',
+          logger: quietLogger,
+          healthCheck: {
+            maxConsecutiveFailures: 1,
+            ejectionTime: 50,
+            probe: {
+              target: { host: 'localhost', port: httpServer.address().port }
+            }
+          },
+          prepareRequestFunction: function() {
+            return {};
+          }
+        });
+        proxy.on('upstreamHealthChanged', function(change) {
+          changes.push(change.reason);
+          if (change.reason === 'ejection_expired')
+            check();
+        });
+
+        function check() {
+          proxy.checkUpstream(upstreamProxy()).then(function(state) {
+            proxy.close();
+            assert(state.healthy === true && state.requests === 1,
+                   makeMsg(what, 'Healthy upstream failed its probe'));
+            assert.deepEqual(changes, ['consecutive_failures', 'ejection_expired'],
+                             makeMsg(what, 'Unexpected health changes'));
+            next();
+          });
+        }
+
+        proxy.listen(function() {
+          proxy.checkUpstream({ host: '127.0.0.1', port: port })
+            .then(function(state) {
+              assert(state.healthy === false && state.ejections === 1,
+                     makeMsg(what, 'Dead upstream passed its probe'));
+            });
+        });
+      });
+    },
+    what: 'Active upstream health probes'
+  },
+  { run: function() {
+      var what = this.what,
+          evictions = [],
+          extraServer = createServer(function(info, accept) {
+            accept();
+          }),
+          proxy;
+      extraServer.useAuth(auth.None());
+      extraServer.listen(0, 'localhost', function() {
+        var extraPort = extraServer.address().port;
+        proxy = new UpstreamSocks({
+          port: 0,
+          host: 'localhost',
+          logger: quietLogger,
+          stickySessions: true,
+          prepareRequestFunction: function() {
+            return {
+              sessionKey: 'abc',
+              upstreamPool: {
+                upstreams: [{ host: 'localhost', port: extraPort }, upstreamProxy()]
+              }
+            };
+          }
+        });
+        proxy.on('sessionEvicted', function(eviction) {
+          evictions.push(eviction);
+        });
+
+        function pinnedPort() {
+          var sessions = proxy.getSessions();
+          assert(sessions.length === 1 && sessions[0].key === 'abc',
+                 makeMsg(what, 'Missing session'));
+          return sessions[0].upstream.port;
+        }
+
+        proxy.listen(function() {
+          rawConnect(proxy, function(rep) {
+            assert(rep === 0x00 && pinnedPort() === extraPort,
+                   makeMsg(what, 'Session not pinned'));
+            // round-robin would pick the other member now
+            rawConnect(proxy, function(rep) {
+              assert(rep === 0x00 && pinnedPort() === extraPort
+                     && proxy.getSessions()[0].connections === 2,
+                     makeMsg(what, 'Session not kept on its upstream'));
+              extraServer.close(function() {
+                rawConnect(proxy, function(rep) {
+                  proxy.close();
+                  assert(rep === 0x00, makeMsg(what, 'Failover failed: ' + rep));
+                  assert(evictions.length === 1
+                         && evictions[0].reason === 'upstream_failed'
+                         && evictions[0].upstream.port === extraPort,
+                         makeMsg(what, 'Missing eviction event'));
+                  assert(pinnedPort() === upstreamServer.address().port
+                         && proxy.getSessionCount() === 1,
+                         makeMsg(what, 'Session not pinned again'));
+                  next();
+                });
+              });
+            });
+          });
+        });
+      });
+    },
+    what: 'Sticky sessions'
+  },
+  { run: function() {
+      var what = this.what,
+          proxy = new UpstreamSocks({
+            port: 0,
+            host: 'localhost',
+            logger: quietLogger,
+            stickySessions: { sweepInterval: 20 },
+            prepareRequestFunction: function() {
+              return {
+                sessionKey: 'short',
+                sessionTtl: 30,
+                upstreamProxy: upstreamProxy()
+              };
+            }
+          });
+      proxy.on('sessionEvicted', function(eviction) {
+        proxy.close();
+        assert(eviction.key === 'short' && eviction.reason === 'expired',
+               makeMsg(what, 'Unexpected eviction'));
+        assert(proxy.getSessionCount() === 0,
+               makeMsg(what, 'Expired session still listed'));
+        next();
+      });
+
+      proxy.listen(function() {
+        rawConnect(proxy, function(rep) {
+          assert(rep === 0x00 && proxy.getSessionCount() === 1,
+                 makeMsg(what, 'Session not created'));
+        });
+      });
+    },
+    what: 'Sticky sessions (expiry)'
+  },
+  { run: function() {
+      var what = this.what,
+          evictions = [],
+          extraServer = createServer(function(info, accept) {
+            accept();
+          }),
+          extraPort,
+          upstream,
+          proxy;
+
+      assert(defaultSessionKey({
+               username: 'cust',
+               usernameOptions: { session: 'abc', country: 'us', lifetime: 10 }
+             }) === 'cust-country-us-session-abc'
+             && defaultSessionKey({ username: 'cust-country-de-session-abc-lifetime-5' })
+                === 'cust-country-de-session-abc'
+             && defaultSessionKey({ username: 'cust-country-de' }) === null,
+             makeMsg(what, 'Bad default session keys'));
+
+      extraServer.useAuth(auth.None());
+      extraServer.listen(0, 'localhost', function() {
+        extraPort = extraServer.address().port;
+        upstream = { host: 'localhost', port: extraPort };
+        proxy = new UpstreamSocks({
+          port: 0,
+          host: 'localhost',
+          logger: quietLogger,
+          stickySessions: true,
+          prepareRequestFunction: function() {
+            return { sessionKey: 'abc', upstreamProxy: upstream };
+          }
+        });
+        proxy.on('sessionEvicted', function(eviction) {
+          evictions.push(eviction);
+        });
+
+        proxy.listen(function() {
+          rawConnect(proxy, function(rep) {
+            var conns = upstreamConns;
+            assert(rep === 0x00, makeMsg(what, 'Unexpected reply: ' + rep));
+            // The session's upstream is no longer the one of its requests
+            upstream = upstreamProxy();
+            rawConnect(proxy, function(rep) {
+              var sessions = proxy.getSessions();
+              proxy.close();
+              extraServer.close();
+              assert(rep === 0x00 && upstreamConns === conns + 1,
+                     makeMsg(what, 'Request not routed to its upstream'));
+              assert(evictions.length === 1
+                     && evictions[0].reason === 'upstream_removed'
+                     && evictions[0].upstream.port === extraPort,
+                     makeMsg(what, 'Bad evictions: ' + JSON.stringify(evictions)));
+              assert(sessions.length === 1
+                     && sessions[0].upstream.port === upstreamServer.address().port,
+                     makeMsg(what, 'Session not pinned again'));
+              next();
+            });
+          });
+        });
+      });
+    },
+    what: 'Sticky sessions (routing changes)'
+  },
+  { run: function() {
+      var what = this.what,
+          users = [],
+          gateway = createServer(function(info, accept) {
+            accept();
+          }),
+          proxy;
+      gateway.useAuth(auth.UserPassword(function(user, pass, cb) {
+        users.push(user);
+        cb(true);
+      }));
+      gateway.listen(0, 'localhost', function() {
+        var port = gateway.address().port;
+        proxy = new UpstreamSocks({
+          port: 0,
+          host: 'localhost',
+          logger: quietLogger,
+          stickySessions: true,
+          prepareRequestFunction: function() {
+            // A gateway picking the exit from the credentials
+            return {
+              sessionKey: 'S',
+              upstreamPool: {
+                upstreams: ['exitA', 'exitB'].map(function(exit) {
+                  return { host: 'localhost', port: port,
+                           auth: { username: exit, password: 'pass' } };
+                })
+              }
+            };
+          }
+        });
+
+        proxy.listen(function() {
+          (function connect(n) {
+            if (n === 0) {
+              proxy.close();
+              gateway.close();
+              assert.deepEqual(users, ['exitA', 'exitA', 'exitA', 'exitA'],
+                               makeMsg(what, 'Session not kept on its credentials: ' + users));
+              return next();
+            }
+            rawConnect(proxy, function(rep) {
+              assert(rep === 0x00, makeMsg(what, 'Unexpected reply: ' + rep));
+              connect(n - 1);
+            });
+          })(4);
+        });
+      });
+    },
+    what: 'Sticky sessions (upstream credentials)'
+  },
+  { run: function() {
+      var what = this.what,
+          exceeded = [],
+          failures = [],
+          proxy = new UpstreamSocks({
+            port: 0,
+            host: 'localhost',
+            logger: quietLogger,
+            maxConnectionsPerIp: 1,
+            prepareRequestFunction: function() {
+              return { upstreamProxy: upstreamProxy() };
+            }
+          });
+      proxy.on('limitExceeded', function(info) {
+        exceeded.push(info);
+      });
+      proxy.on('requestFailed', function(info) {
+        failures.push(info);
+      });
+
+      proxy.listen(function() {
+        openConnect(proxy, function(rep, sock) {
+          var address = sock.localAddress;
+          assert(rep === 0x00, makeMsg(what, 'Unexpected reply: ' + rep));
+          assert(proxy.getIpConnectionCount(address) === 1,
+                 makeMsg(what, 'Connection not counted'));
+          rawConnect(proxy, function(rep) {
+            assert(rep === REP.DISALLOW,
+                   makeMsg(what, 'Unexpected reply over the limit: ' + rep));
+            assert(exceeded.length === 1
+                   && exceeded[0].limit === 'ip'
+                   && exceeded[0].max === 1
+                   && exceeded[0].current === 1,
+                   makeMsg(what, 'Bad limitExceeded event'));
+            assert(failures.length === 1
+                   && failures[0].category === 'limit_exceeded',
+                   makeMsg(what, 'Bad requestFailed event'));
+            proxy.once('connectionClosed', function() {
+              setImmediate(function() {
+                assert(proxy.getIpConnectionCount(address) === 0,
+                       makeMsg(what, 'Connection not released'));
+                rawConnect(proxy, function(rep) {
+                  proxy.close();
+                  assert(rep === 0x00,
+                         makeMsg(what, 'Unexpected reply after release: ' + rep));
+                  next();
+                });
+              });
+            });
+            sock.destroy();
+          });
+        });
+      });
+    },
+    what: 'Per-IP connection limit'
+  },
+  { run: function() {
+      var what = this.what,
+          limits = new ConnectionLimits(),
+          caps = { perUser: 2, perIp: 3 };
+      assert(limits.acquire('alice', '10.0.0.1', caps) === null
+             && limits.acquire('alice', '10.0.0.2', caps) === null,
+             makeMsg(what, 'Connections under the cap refused'));
+      assert.deepEqual(limits.acquire('alice', '10.0.0.1', caps),
+                       { limit: 'user', max: 2, current: 2 },
+                       makeMsg(what, 'User cap not enforced'));
+      assert(limits.acquire('bob', '10.0.0.1', caps) === null
+             && limits.acquire('', '10.0.0.1', caps) === null,
+             makeMsg(what, 'Other users refused'));
+      assert.deepEqual(limits.acquire('carol', '10.0.0.1', caps),
+                       { limit: 'ip', max: 3, current: 3 },
+                       makeMsg(what, 'IP cap not enforced'));
+      limits.release('alice', '10.0.0.1');
+      assert(limits.getUserCount('alice') === 1
+             && limits.getIpCount('10.0.0.1') === 2
+             && limits.acquire('alice', '10.0.0.3', caps) === null,
+             makeMsg(what, 'Connection not released'));
+      next();
+    },
+    what: 'Per-user connection limit'
+  },
+  { run: function() {
+      var what = this.what,
+          bucket = new TokenBucket(1000, 2000),
+          delay;
+      assert(bucket.wait(2000) === 0,
+             makeMsg(what, 'Burst not allowed'));
+      bucket.take(2000);
+      delay = bucket.wait(500);
+      assert(delay > 400 && delay <= 500,
+             makeMsg(what, 'Unexpected delay: ' + delay));
+      bucket.take(3000);
+      delay = bucket.wait(5000);
+      assert(delay > 4400 && delay <= 5000,
+             makeMsg(what, 'Debt not paid back: ' + delay));
+      bucket.set(10000);
+      assert(bucket.burst === 10000,
+             makeMsg(what, 'Burst does not default to the rate'));
+      next();
+    },
+    what: 'Token bucket'
+  },
+  { run: function() {
+      var what = this.what,
+          proxy = new UpstreamSocks({
+            port: 0,
+            host: 'localhost',
+            logger: quietLogger,
+            prepareRequestFunction: function() {
+              return {
+                upstreamProxy: upstreamProxy(),
+                rateLimit: { download: 40000, burst: 10000 }
+              };
+            }
+          });
+
+      proxy.listen(function() {
+        download(proxy, function(bytes, elapsed) {
+          assert(bytes === BULK_SIZE,
+                 makeMsg(what, 'Unexpected size: ' + bytes));
+          assert(elapsed >= 400,
+                 makeMsg(what, 'Connection limit not enforced: ' + elapsed + 'ms'));
+          // direct connections, throttled by the global limit
+          proxy.setGlobalRateLimit({ download: 40000, burst: 10000 });
+          proxy.prepareRequestFunction = function() {
+            return {};
+          };
+          download(proxy, function(bytes, elapsed) {
+            proxy.close();
+            assert(bytes === BULK_SIZE,
+                   makeMsg(what, 'Unexpected size: ' + bytes));
+            assert(elapsed >= 400,
+                   makeMsg(what, 'Global limit not enforced: ' + elapsed + 'ms'));
+            next();
+          });
+        });
+      });
+    },
+    what: 'Bandwidth throttling'
+  },
+  { run: function() {
+      var what = this.what,
+          proxy = new UpstreamSocks({
+            port: 0,
+            host: 'localhost',
+            logger: quietLogger,
+            prepareRequestFunction: function() {
+              return {
+                upstreamProxy: upstreamProxy(),
+                rateLimit: { download: 5000, burst: 5000 }
+              };
+            }
+          });
+
+      proxy.listen(function() {
+        download(proxy, function(bytes, elapsed) {
+          proxy.close();
+          assert(bytes === BULK_SIZE,
+                 makeMsg(what, 'Unexpected size: ' + bytes));
+          assert(elapsed < 2000,
+                 makeMsg(what, 'Limit not lifted: ' + elapsed + 'ms'));
+          next();
+        }, function() {
+          var ids = Array.from(proxy.connections.keys());
+          assert(ids.length === 1
+                 && proxy.setConnectionRateLimit(ids[0], {}) === true,
+                 makeMsg(what, 'Could not change the connection limit'));
+        });
+      });
+    },
+    what: 'Bandwidth throttling (live change)'
+  },
+  { run: function() {
+      var what = this.what,
+          credentials = { username: 'alice', password: 'secret' },
+          exceeded = [],
+          failures = [],
+          proxy = new UpstreamSocks({
+            port: 0,
+            host: 'localhost',
+            logger: quietLogger,
+            requireAuthentication: true,
+            authenticateFunction: function() {
+              return true;
+            },
+            prepareRequestFunction: function() {
+              return {
+                upstreamProxy: upstreamProxy(),
+                quota: 10000
+              };
+            }
+          });
+      proxy.on('quotaExceeded', function(info) {
+        exceeded.push(info);
+      });
+      proxy.on('requestFailed', function(info) {
+        failures.push(info);
+      });
+
+      proxy.listen(function() {
+        download(proxy, function(bytes) {
+          assert(bytes < BULK_SIZE,
+                 makeMsg(what, 'Connection not terminated: ' + bytes));
+          assert(exceeded.length === 1
+                 && exceeded[0].username === 'alice'
+                 && exceeded[0].action === 'terminated'
+                 && exceeded[0].limit === 10000
+                 && exceeded[0].used >= 10000
+                 && exceeded[0].connectionIds.length === 1,
+                 makeMsg(what, 'Bad quotaExceeded event'));
+          openConnect(proxy, function(rep, sock) {
+            sock.destroy();
+            assert(rep === REP.DISALLOW,
+                   makeMsg(what, 'Unexpected reply over the quota: ' + rep));
+            assert(exceeded.length === 2
+                   && exceeded[1].action === 'refused',
+                   makeMsg(what, 'Refusal not reported'));
+            assert(failures.length === 1
+                   && failures[0].category === 'quota_exceeded',
+                   makeMsg(what, 'Bad requestFailed event'));
+            proxy.getQuotaUsage('alice').then(function(usage) {
+              assert(usage.used >= 10000,
+                     makeMsg(what, 'Unexpected usage: ' + usage.used));
+              return proxy.resetQuotaUsage('alice');
+            }).then(function() {
+              openConnect(proxy, function(rep, sock) {
+                sock.destroy();
+                proxy.close();
+                assert(rep === 0x00,
+                       makeMsg(what, 'Unexpected reply after reset: ' + rep));
+                next();
+              }, null, credentials);
+            });
+          }, null, credentials);
+        }, null, credentials);
+      });
+    },
+    what: 'Bandwidth quota'
+  },
+  { run: function() {
+      var what = this.what,
+          credentials = { username: 'bob', password: 'secret' },
+          saved = {},
+          store = {
+            getUsage: function(username) {
+              return Promise.resolve(saved[username] || 0);
+            },
+            addUsage: function(username, bytes) {
+              saved[username] = (saved[username] || 0) + bytes;
+              return Promise.resolve();
+            },
+            resetUsage: function(username) {
+              delete saved[username];
+              return Promise.resolve();
+            }
+          },
+          proxy = new UpstreamSocks({
+            port: 0,
+            host: 'localhost',
+            logger: quietLogger,
+            requireAuthentication: true,
+            authenticateFunction: function() {
+              return true;
+            },
+            quotaStore: store,
+            quotaProvider: function(info) {
+              return Promise.resolve(info.username === 'bob' ? 40000 : null);
+            },
+            prepareRequestFunction: function() {
+              return {};
+            }
+          });
+
+      proxy.listen(function() {
+        download(proxy, function(bytes) {
+          assert(bytes === BULK_SIZE,
+                 makeMsg(what, 'Unexpected size: ' + bytes));
+          // saved when the last connection of the user closes
+          setTimeout(function() {
+            assert(saved.bob >= BULK_SIZE,
+                   makeMsg(what, 'Usage not saved: ' + saved.bob));
+            download(proxy, function(bytes) {
+              proxy.close();
+              assert(bytes < BULK_SIZE,
+                     makeMsg(what, 'Connection not terminated: ' + bytes));
+              next();
+            }, null, credentials);
+          }, 50);
+        }, null, credentials);
+      });
+    },
+    what: 'Bandwidth quota (provider and store)'
+  },
+  { run: function() {
+      var what = this.what,
+          usage = 0,
+          closedReported = false,
+          finalStats,
+          proxy = new UpstreamSocks({
+            port: 0,
+            host: 'localhost',
+            logger: quietLogger,
+            usageInterval: 50,
+            prepareRequestFunction: function() {
+              return {
+                upstreamProxy: upstreamProxy(),
+                rateLimit: { download: 40000, burst: 10000 }
+              };
+            }
+          });
+      proxy.on('usage', function(event) {
+        assert(event.interval === 50 && event.connections.length === 1,
+               makeMsg(what, 'Bad usage event'));
+        usage += event.connections[0].srcTxBytes;
+        if (event.connections[0].closed)
+          closedReported = true;
+      });
+      proxy.on('connectionClosed', function(event) {
+        finalStats = event.stats;
+      });
+
+      proxy.listen(function() {
+        download(proxy, function(bytes) {
+          assert(bytes === BULK_SIZE,
+                 makeMsg(what, 'Unexpected size: ' + bytes));
+          setTimeout(function() {
+            proxy.close();
+            assert(proxy.getConnections().length === 0,
+                   makeMsg(what, 'Closed connection still listed'));
+            assert(closedReported && usage === finalStats.srcTxBytes,
+                   makeMsg(what, 'Usage ' + usage + ' does not add up to '
+                                 + finalStats.srcTxBytes));
+            next();
+          }, 200);
+        }, function() {
+          var connections = proxy.getConnections(),
+              connection = connections[0];
+          assert(connections.length === 1
+                 && connection.command === 'connect'
+                 && connection.port === bulkServer.address().port
+                 && connection.upstream.port === upstreamServer.address().port
+                 && connection.upstream.protocol === 'socks5'
+                 && connection.stats.srcTxBytes > 0
+                 && connection.duration >= 0,
+                 makeMsg(what, 'Bad live connection: '
+                               + JSON.stringify(connection)));
+          assert(proxy.getConnection(connection.connectionId).connectionId
+                 === connection.connectionId
+                 && proxy.getConnection('nope') === null,
+                 makeMsg(what, 'getConnection() mismatch'));
+        });
+      });
+    },
+    what: 'Live connection stats and usage events'
+  },
+  { run: function() {
+      var what = this.what,
+          prepare = function() {
+            return {};
+          },
+          proxy = new UpstreamSocks({
+            port: 0,
+            host: 'localhost',
+            logger: quietLogger,
+            prepareRequestFunction: prepare
+          }),
+          other = new UpstreamSocks({
+            port: 0,
+            host: 'localhost',
+            logger: quietLogger,
+            prepareRequestFunction: prepare
+          }),
+          closed = [];
+      other.on('connectionClosed', function(event) {
+        closed.push(event);
+      });
+
+      proxy.listen(function() {
+        other.listen(function() {
+          download(proxy, function(bytes) {
+            var totals = proxy.getTotals(),
+                otherTotals = other.getTotals();
+            setImmediate(function() {
+              proxy.close();
+              other.close();
+              assert(bytes === BULK_SIZE,
+                     makeMsg(what, 'Unexpected size: ' + bytes));
+              assert(totals.connections === 1
+                     && totals.srcTxBytes === BULK_SIZE,
+                     makeMsg(what, 'Bad totals: ' + JSON.stringify(totals)));
+              assert(otherTotals.connections === 0
+                     && otherTotals.srcTxBytes === 0
+                     && closed.length === 0,
+                     makeMsg(what, 'Other server saw the connection'));
+              next();
+            });
+          }, function() {
+            var id = proxy.getConnections()[0].connectionId;
+            assert(proxy.server.getBandwidthStats(id) !== null
+                   && other.server.getBandwidthStats(id) === null,
+                   makeMsg(what, 'Bandwidth stats shared between servers'));
+          });
+        });
+      });
+    },
+    what: 'Per-server tracking state'
+  },
+  { run: function() {
+      var what = this.what;
+      deadPort(function(port) {
+        var dead = { host: 'localhost', port: port },
+            upstream = dead,
+            proxy = new UpstreamSocks({
+              port: 0,
+              host: 'localhost',
+              logger: quietLogger,
+              metrics: { port: 0, labels: ['upstream'] },
+              prepareRequestFunction: function() {
+                return upstream ? { upstreamProxy: upstream } : { requestAuthentication: true };
+              }
+            });
+
+        proxy.listen(function() {
+          rawConnect(proxy, function(rep) {
+            assert(rep !== 0x00, makeMsg(what, 'Dead upstream accepted'));
+            upstream = null;
+            rawConnect(proxy, function(rep) {
+              assert(rep === REP.DISALLOW, makeMsg(what, 'Refused client accepted'));
+              upstream = upstreamProxy();
+              download(proxy, function(bytes) {
+                assert(bytes === BULK_SIZE,
+                       makeMsg(what, 'Unexpected size: ' + bytes));
+                setImmediate(function() {
+                  http.get({ host: '127.0.0.1',
+                             port: proxy.metrics.address().port,
+                             path: '/metrics' }, function(res) {
+                    var body = '';
+                    res.setEncoding('utf8');
+                    res.on('data', function(chunk) {
+                      body += chunk;
+                    }).on('end', function() {
+                      var good = 'socks5://localhost:' + upstream.port,
+                          bad = 'socks5://localhost:' + dead.port;
+                      proxy.close();
+                      assert(/^text\/plain; version=0\.0\.4/.test(res.headers['content-type']),
+                             makeMsg(what, 'Bad content type'));
+                      [
+                        'upstream_socks_connections_accepted_total{upstream="' + good + '"} 1',
+                        'upstream_socks_connections_failed_total{reason="upstream_unreachable",upstream="' + bad + '"} 1',
+                        'upstream_socks_upstream_attempts_total{upstream="' + bad + '"} 1',
+                        'upstream_socks_upstream_errors_total{upstream="' + bad + '",category="upstream_unreachable"} 1',
+                        'upstream_socks_upstream_connect_duration_seconds_count{upstream="' + good + '"} 1',
+                        'upstream_socks_bytes_total{direction="srcTx",upstream="' + good + '"} ' + BULK_SIZE,
+                        'upstream_socks_connections_denied_total{reason="prepare_request",upstream=""} 1',
+                        'upstream_socks_handshake_duration_seconds_count 3',
+                        'upstream_socks_active_connections 0'
+                      ].forEach(function(line) {
+                        assert(body.split('\n').indexOf(line) !== -1,
+                               makeMsg(what, 'Missing ' + line + ' in:\n' + body));
+                      });
+                      next();
+                    });
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    },
+    what: 'Prometheus metrics'
+  },
+  { run: function() {
+      var what = this.what,
+          registry = new MetricsRegistry({ maxSeries: 2 }),
+          requests = registry.counter('requests_total', 'Requests', ['user', 'reason']),
+          latency = registry.histogram('latency_seconds', 'Latency', [], [0.1, 1]),
+          body;
+      requests.inc({ user: 'alice', reason: 'a' });
+      requests.inc({ user: 'bob', reason: 'a' });
+      requests.inc({ user: 'carol', reason: 'a' });
+      requests.inc({ user: 'dave', reason: 'a' }, 2);
+      requests.inc({ user: 'alice', reason: 'a' });
+      latency.observe({}, 0.5);
+      body = registry.expose();
+      [
+        '# TYPE requests_total counter',
+        'requests_total{user="alice",reason="a"} 2',
+        'requests_total{user="bob",reason="a"} 1',
+        'requests_total{user="other",reason="a"} 3',
+        'latency_seconds_bucket{le="0.1"} 0',
+        'latency_seconds_bucket{le="1"} 1',
+        'latency_seconds_bucket{le="+Inf"} 1',
+        'latency_seconds_sum 0.5',
+        'latency_seconds_count 1'
+      ].forEach(function(line) {
+        assert(body.split('\n').indexOf(line) !== -1,
+               makeMsg(what, 'Missing ' + line + ' in:\n' + body));
+      });
+      next();
+    },
+    what: 'Metrics cardinality cap'
+  },
+  { run: function() {
+      var what = this.what,
+          records = [],
+          record = function(level) {
+            return function(fields, msg) {
+              records.push({ level: level, msg: msg, fields: fields });
+            };
+          },
+          logger = {
+            debug: record('debug'),
+            info: record('info'),
+            warn: record('warn'),
+            error: record('error')
+          },
+          proxy = new UpstreamSocks({
+            port: 0,
+            host: 'localhost',
+            logger: logger,
+            accessLog: true,
+            requireAuthentication: true,
+            authenticateFunction: function() {
+              return true;
+            },
+            prepareRequestFunction: function() {
+              var upstream = upstreamProxy(),
+                  row = { id: 1 };
+              upstream.auth = { username: 'upuser', password: 'uppass' };
+              // Application objects such as ORM rows may be cyclic
+              row.self = row;
+              return { upstreamProxy: upstream, row: row };
+            }
+          });
+
+      proxy.listen(function() {
+        openConnect(proxy, function(rep, sock) {
+          proxy.once('connectionClosed', function(event) {
+            var logged = JSON.stringify(records),
+                access = records.filter(function(r) {
+                  return r.fields.type === 'access';
+                });
+            proxy.close();
+            assert(logged.indexOf('s3cret') === -1
+                   && logged.indexOf('uppass') === -1,
+                   makeMsg(what, 'Credentials logged: ' + logged));
+            assert(access.length === 1
+                   && access[0].level === 'info'
+                   && access[0].fields.connectionId === event.connectionId
+                   && access[0].fields.user === 'alice'
+                   && access[0].fields.destination.port === httpServer.address().port
+                   && access[0].fields.upstream.port === upstreamServer.address().port
+                   && access[0].fields.upstream.auth === undefined
+                   && access[0].fields.srcTxBytes === event.stats.srcTxBytes,
+                   makeMsg(what, 'Bad access log record: ' + JSON.stringify(access)));
+            next();
+          });
+          assert(rep === 0x00, makeMsg(what, 'Unexpected reply: ' + rep));
+          sock.end();
+        }, null, { username: 'alice', password: 's3cret' });
+      });
+    },
+    what: 'Structured logger'
+  },
+  { run: function() {
+      var what = this.what,
+          row = { id: 1, tags: ['a'] },
+          deep = {},
+          node = deep,
+          written = [],
+          reads = 0,
+          fields,
+          logger,
+          redacted,
+          i;
+      row.self = row;
+      row.list = [row, row.tags, row.tags];
+      for (i = 0; i < 20; ++i)
+        node = node.child = {};
+      redacted = redact({ row: row, deep: deep });
+      assert(redacted.row.self === '[Circular]'
+             && redacted.row.list[0] === '[Circular]'
+             && redacted.row.list[2][0] === 'a',
+             makeMsg(what, 'Bad cycle handling: ' + JSON.stringify(redacted.row)));
+      assert(JSON.stringify(redacted.deep).indexOf('[Truncated]') !== -1,
+             makeMsg(what, 'Deep object not truncated'));
+      redacted = redact({
+        upstreamProxy: { host: 'up', tls: { key: 'PRIVATE', passphrase: 'secret' } }
+      });
+      assert(redacted.upstreamProxy.host === 'up'
+             && redacted.upstreamProxy.tls === '[REDACTED]',
+             makeMsg(what, 'TLS options logged: ' + JSON.stringify(redacted)));
+
+      logger = new Logger({
+        isLevelEnabled: function(level) {
+          return level !== 'debug';
+        },
+        debug: function(fields) {
+          written.push(fields);
+        },
+        info: function(fields) {
+          written.push(fields);
+        }
+      });
+      fields = Object.defineProperty({}, 'result', {
+        enumerable: true,
+        get: function() {
+          ++reads;
+          return {};
+        }
+      });
+      logger.debug(fields, 'dropped');
+      logger.info({ n: 1 }, 'kept');
+      assert(written.length === 1 && written[0].n === 1 && reads === 0,
+             makeMsg(what, 'Bad records: ' + JSON.stringify(written)));
+      next();
+    },
+    what: 'Log redaction'
+  },
+  { run: function() {
+      var what = this.what,
+          proxy = new UpstreamSocks({
+            port: 0,
+            host: 'localhost',
+            logger: quietLogger,
+            requireAuthentication: false,
+            handshakeTimeout: 100,
+            prepareRequestFunction: function() {
+              return {};
+            }
+          });
+
+      proxy.listen(function() {
+        var sock = net.connect(proxy.server.address().port, 'localhost'),
+            start = Date.now(),
+            closed = false;
+        sock.on('error', function() {
+          // ignore errors
+        }).on('close', function() {
+          closed = true;
+        });
+        proxy.once('connectionClosed', function(event) {
+          proxy.close();
+          assert(event.stats.closeReason === 'handshake_timeout',
+                 makeMsg(what, 'Bad close reason: ' + event.stats.closeReason));
+          assert(Date.now() - start >= 90 && event.stats.hops.length === 0,
+                 makeMsg(what, 'Bad stats: ' + JSON.stringify(event.stats)));
+          setTimeout(function() {
+            assert(closed, makeMsg(what, 'Client not disconnected'));
+            next();
+          }, 50);
+        });
+      });
+    },
+    what: 'Handshake timeout'
+  },
+  { run: function() {
+      var what = this.what,
+          proxy = new UpstreamSocks({
+            port: 0,
+            host: 'localhost',
+            logger: quietLogger,
+            requireAuthentication: false,
+            idleTimeout: 100,
+            prepareRequestFunction: function() {
+              // The second connection trades its idle timeout for a lifetime
+              return ++requests === 2 ? { idleTimeout: 0, lifetimeTimeout: 150 } : {};
+            }
+          }),
+          reasons = [],
+          requests = 0;
+
+      proxy.on('connectionClosed', function(event) {
+        reasons.push(event.stats.closeReason);
+      });
+
+      proxy.listen(function() {
+        openConnect(proxy, function(rep, sock) {
+          assert(rep === 0x00, makeMsg(what, 'Unexpected reply: ' + rep));
+          sock.on('close', function() {
+            // Keeps sending data, so that only its lifetime ends it
+            openConnect(proxy, function(rep, sock) {
+              var start = Date.now(),
+                  timer = setInterval(function() {
+                    sock.write('GET / HTTP/1.1\r\nHost: localhost\r\n\r\n');
+                  }, 40);
+              assert(rep === 0x00, makeMsg(what, 'Unexpected reply: ' + rep));
+              sock.on('data', function() {}).on('close', function() {
+                clearInterval(timer);
+                setImmediate(function() {
+                  proxy.close();
+                  assert(Date.now() - start >= 100,
+                         makeMsg(what, 'Closed too early: ' + (Date.now() - start)));
+                  assert.deepEqual(reasons, ['idle_timeout', 'lifetime_timeout'],
+                                   makeMsg(what, 'Bad close reasons: ' + reasons));
+                  next();
+                });
+              });
+            });
+          });
+        });
+      });
+    },
+    what: 'Idle and lifetime timeouts'
+  },
+  { run: function() {
+      var what = this.what,
+          silentServer = net.createServer(function() {
+            // Accepts connections and never answers
+          }),
+          failures = [],
+          proxy;
+
+      silentServer.listen(0, 'localhost', function() {
+        proxy = new UpstreamSocks({
+          port: 0,
+          host: 'localhost',
+          logger: quietLogger,
+          requireAuthentication: false,
+          connectTimeout: 100,
+          prepareRequestFunction: function() {
+            return {
+              upstreamProxy: { host: 'localhost', port: silentServer.address().port }
+            };
+          }
+        });
+        proxy.on('requestFailed', function(event) {
+          failures.push(event);
+        });
+        proxy.listen(function() {
+          var start = Date.now();
+          rawConnect(proxy, function(rep) {
+            proxy.close();
+            silentServer.close();
+            assert(rep === REP.TTLEXPIRED, makeMsg(what, 'Unexpected reply: ' + rep));
+            assert(Date.now() - start < 1000,
+                   makeMsg(what, 'Timed out too late: ' + (Date.now() - start)));
+            assert(failures.length === 1 && failures[0].category === 'timeout',
+                   makeMsg(what, 'Bad failure: ' + JSON.stringify(failures)));
+            next();
+          });
+        });
+      });
+    },
+    what: 'Upstream connect timeout'
+  },
+  { run: function() {
+      var what = this.what,
+          proxy = new UpstreamSocks({
+            port: 0,
+            host: 'localhost',
+            logger: quietLogger,
+            requireAuthentication: false,
+            prepareRequestFunction: function() {
+              return {};
+            }
+          }),
+          reasons = [];
+
+      proxy.on('connectionClosed', function(event) {
+        reasons.push(event.stats.closeReason);
+      });
+
+      proxy.listen(function() {
+        var port = proxy.server.address().port;
+        openConnect(proxy, function(rep, ending) {
+          assert(rep === 0x00, makeMsg(what, 'Unexpected reply: ' + rep));
+          openConnect(proxy, function(rep, lingering) {
+            var silent = net.connect(port, 'localhost');
+            assert(rep === 0x00, makeMsg(what, 'Unexpected reply: ' + rep));
+            silent.on('error', function() {
+              // ignore errors
+            }).on('connect', function() {
+              setTimeout(function() {
+                var start = Date.now();
+                proxy.close({ drainTimeout: 200 }).then(function() {
+                  assert(Date.now() - start >= 190,
+                         makeMsg(what, 'Drained too early: ' + (Date.now() - start)));
+                  assert(lingering.destroyed && silent.destroyed,
+                         makeMsg(what, 'Connections left open'));
+                  assert.deepEqual(reasons.sort(),
+                                   ['client_closed', 'server_shutdown', 'server_shutdown'],
+                                   makeMsg(what, 'Bad close reasons: ' + reasons));
+                  assert(proxy.getConnections().length === 0,
+                         makeMsg(what, 'Connections still tracked'));
+                  next();
+                });
+                // Clients in their handshake are closed right away, new ones
+                // refused and open tunnels left to end by themselves
+                setTimeout(function() {
+                  assert.deepEqual(reasons, ['server_shutdown'],
+                                   makeMsg(what, 'Bad close reasons: ' + reasons));
+                  net.connect(port, 'localhost').on('error', function(err) {
+                    assert(err.code === 'ECONNREFUSED',
+                           makeMsg(what, 'Unexpected error: ' + err.code));
+                    ending.end();
+                  }).on('connect', function() {
+                    assert(false, makeMsg(what, 'Connection accepted while closing'));
+                  });
+                }, 50);
+              }, 50);
+            });
+            lingering.on('error', function() {
+              // ignore errors
+            });
+          });
+        });
+      });
+    },
+    what: 'Graceful shutdown'
+  },
+  { run: function() {
+      var what = this.what,
+          reasons = [],
+          closed,
+          proxy = new UpstreamSocks({
+            port: 0,
+            host: 'localhost',
+            logger: quietLogger,
+            requireAuthentication: false,
+            prepareRequestFunction: function() {
+              // The server starts closing while the request is prepared
+              closed = proxy.close({ drainTimeout: 5000 });
+              return new Promise(function(resolve) {
+                setTimeout(function() {
+                  resolve({ upstreamProxy: upstreamProxy() });
+                }, 50);
+              });
+            }
+          }),
+          conns = upstreamConns;
+
+      proxy.on('connectionClosed', function(event) {
+        reasons.push(event.stats.closeReason);
+      });
+
+      proxy.listen(function() {
+        var start = Date.now();
+        rawConnect(proxy, function(rep) {
+          assert(rep === REP.GENFAIL, makeMsg(what, 'Unexpected reply: ' + rep));
+          closed.then(function() {
+            assert(Date.now() - start < 1000,
+                   makeMsg(what, 'Waited for the drain timeout'));
+            assert.deepEqual(reasons, ['server_shutdown'],
+                             makeMsg(what, 'Bad close reasons: ' + reasons));
+            assert(upstreamConns === conns,
+                   makeMsg(what, 'Tunnel opened while closing'));
+            next();
+          });
+        });
+      });
+    },
+    what: 'Graceful shutdown (pending requests)'
+  },
+  { run: function() {
+      var what = this.what,
+          slowUpstream = createServer(function(info, accept) {
+            setTimeout(accept, 100);
+          }),
+          closed,
+          proxy;
+
+      slowUpstream.useAuth(auth.None());
+      slowUpstream.listen(0, 'localhost', function() {
+        proxy = new UpstreamSocks({
+          port: 0,
+          host: 'localhost',
+          logger: quietLogger,
+          requireAuthentication: false,
+          prepareRequestFunction: function() {
+            // The server starts closing while the association is set up
+            setTimeout(function() {
+              closed = proxy.close({ drainTimeout: 5000 });
+            }, 30);
+            return { upstreamProxy: { host: 'localhost', port: slowUpstream.address().port } };
+          }
+        });
+
+        proxy.listen(function() {
+          var sock = net.connect(proxy.server.address().port, '127.0.0.1'),
+              buf = new Buffer(0);
+          sock.on('connect', function() {
+            sock.write(new Buffer([0x05, 0x01, 0x00]));
+          }).on('data', function(chunk) {
+            buf = Buffer.concat([buf, chunk]);
+            if (buf.length === 2)
+              sock.write(new Buffer([0x05, 0x03, 0x00, 0x01, 0, 0, 0, 0, 0, 0]));
+          }).on('error', function() {
+            // ignore errors
+          }).on('close', function() {
+            closed.then(function() {
+              slowUpstream.close();
+              assert(buf.length >= 4 && buf[3] === REP.GENFAIL,
+                     makeMsg(what, 'Association accepted while closing'));
+              next();
+            });
+          });
+        });
+      });
+    },
+    what: 'Graceful shutdown (pending UDP associations)'
+  },
+  { run: function() {
+      var what = this.what,
+          slowUpstream = createServer(function(info, accept) {
+            setTimeout(accept, 150);
+          }),
+          failures = [],
+          proxy;
+
+      slowUpstream.useAuth(auth.None());
+      slowUpstream.listen(0, 'localhost', function() {
+        proxy = new UpstreamSocks({
+          port: 0,
+          host: 'localhost',
+          logger: quietLogger,
+          requireAuthentication: false,
+          prepareRequestFunction: function() {
+            return {
+              upstreamProxy: { host: 'localhost', port: slowUpstream.address().port }
+            };
+          }
+        });
+        proxy.on('requestFailed', function(event) {
+          failures.push(event);
+        });
+        proxy.listen(function() {
+          var sock = net.connect(proxy.server.address().port, 'localhost'),
+              port = httpServer.address().port;
+          sock.on('connect', function() {
+            sock.write(new Buffer([0x05, 0x01, 0x00]));
+          }).once('data', function() {
+            sock.write(new Buffer([0x05, 0x01, 0x00, 0x01, 127, 0, 0, 1,
+                                   port >>> 8, port & 0xFF]));
+            // Leaves while the upstream is still connecting
+            setTimeout(function() {
+              sock.destroy();
+            }, 50);
+          }).on('error', function() {
+            // ignore errors
+          });
+          setTimeout(function() {
+            var metrics = proxy.getMetrics();
+            proxy.close();
+            slowUpstream.close();
+            assert(failures.length === 0,
+                   makeMsg(what, 'Unexpected failures: ' + JSON.stringify(failures)));
+            assert(proxy.getConnections().length === 0,
+                   makeMsg(what, 'Connection still tracked'));
+            assert(!/^upstream_socks_connections_(accepted|failed)_total/m.test(metrics),
+                   makeMsg(what, 'Connection counted:\n' + metrics));
+            next();
+          }, 400);
+        });
+      });
+    },
+    what: 'Client leaving during the upstream connect'
+  },
+];
+
+function upstreamProxy() {
+  return {
+    host: 'localhost',
+    port: upstreamServer.address().port
+  };
+}
+
+function curl(proxy, credentials, cb, remoteDns) {
+  var args = [remoteDns ? '--socks5-hostname' : '--socks5',
+              'localhost:' + proxy.server.address().port];
+  if (credentials)
+    args.push('-U', credentials);
+  args.push('http://localhost:' + httpServer.address().port);
+  cpexec('curl', args, cb);
+}
+
+// Performs a no-auth CONNECT to the http server (or the given port) and passes
+// the reply code
+function rawConnect(proxy, cb, dstPort) {
+  var sock = net.connect(proxy.server.address().port, 'localhost'),
+      buf = new Buffer(0),
+      done = false;
+  sock.on('connect', function() {
+    sock.write(new Buffer([0x05, 0x01, 0x00]));
+  }).on('data', function(chunk) {
+    buf = Buffer.concat([buf, chunk]);
+    if (buf.length === 2 && buf[1] === 0x00) {
+      var port = dstPort || httpServer.address().port;
+      sock.write(new Buffer([0x05, 0x01, 0x00, 0x01, 127, 0, 0, 1,
+                             port >>> 8, port & 0xFF]));
+    } else if (buf.length >= 4 && !done) {
+      done = true;
+      sock.destroy();
+      cb(buf[3]);
+    }
+  }).on('error', function() {
+    // ignore errors
+  }).on('close', function() {
+    if (!done) {
+      done = true;
+      cb(buf.length >= 4 ? buf[3] : undefined);
+    }
+  });
+}
+
+// Performs a CONNECT to the http server (or the given port), without auth or
+// with the given username and password, and passes the reply code and the
+// socket, left open
+function openConnect(proxy, cb, dstPort, credentials) {
+  var sock = net.connect(proxy.server.address().port, 'localhost'),
+      buf = new Buffer(0),
+      offset = 2;
+  sock.on('connect', function() {
+    sock.write(new Buffer([0x05, 0x01, credentials ? 0x02 : 0x00]));
+  }).on('data', function onData(chunk) {
+    buf = Buffer.concat([buf, chunk]);
+    if (buf.length === 2 && buf[1] === 0x02) {
+      var user = new Buffer(credentials.username),
+          pass = new Buffer(credentials.password);
+      offset = 4;
+      sock.write(Buffer.concat([new Buffer([0x01, user.length]), user,
+                                new Buffer([pass.length]), pass]));
+    } else if (buf.length === offset && buf[offset - 1] === 0x00) {
+      var port = dstPort || httpServer.address().port;
+      sock.write(new Buffer([0x05, 0x01, 0x00, 0x01, 127, 0, 0, 1,
+                             port >>> 8, port & 0xFF]));
+    } else if (buf.length >= offset + 2) {
+      sock.removeListener('data', onData);
+      cb(buf[offset + 1], sock);
+    }
+  }).on('error', function() {
+    // ignore errors
+  }).on('close', function() {
+    if (buf.length < offset + 2)
+      cb(undefined, sock);
+  });
+}
+
+// Downloads the data of the bulk server through the proxy and passes its size
+// and the milliseconds it took, calling onData at the first chunk
+function download(proxy, cb, onData, credentials) {
+  var port = bulkServer.address().port,
+      bytes = 0,
+      start;
+  openConnect(proxy, function(rep, sock) {
+    assert(rep === 0x00, 'CONNECT failed: ' + rep);
+    start = Date.now();
+    sock.on('data', function(chunk) {
+      if (bytes === 0 && onData)
+        onData();
+      bytes += chunk.length;
+    }).on('close', function() {
+      cb(bytes, Date.now() - start);
+    });
+  }, port, credentials);
+}
+
+// Opens a UDP association to the proxy and passes the control socket, the
+// relay address and a UDP socket to use
+function udpAssociate(proxy, cb) {
+  var ctrlSock = net.connect(proxy.server.address().port, '127.0.0.1'),
+      udpSock = dgram.createSocket('udp4'),
+      buf = new Buffer(0);
+  ctrlSock.on('connect', function() {
+    ctrlSock.write(new Buffer([0x05, 0x01, 0x00]));
+  }).on('data', function(chunk) {
+    buf = Buffer.concat([buf, chunk]);
+    if (buf.length === 2) {
+      ctrlSock.write(new Buffer([0x05, 0x03, 0x00, 0x01, 0, 0, 0, 0, 0, 0]));
+    } else if (buf.length >= 4) {
+      assert(buf[3] === 0x00, 'UDP ASSOCIATE failed: ' + buf[3]);
+      if (buf.length < 12)
+        return;
+      cb(ctrlSock,
+         { address: buf.slice(6, 10).join('.'), port: buf.readUInt16BE(10) },
+         udpSock);
+    }
+  }).on('error', function() {
+    // ignore errors
+  });
+}
+
+// Passes a local port nothing listens on
+function deadPort(cb) {
+  var server = net.createServer();
+  server.listen(0, 'localhost', function() {
+    var port = server.address().port;
+    server.close(function() {
+      cb(port);
+    });
+  });
+}
+
+function extractCurlError(stderr) {
+  var m;
+  return ((m = /(curl: \(\d+\)[\s\S]+)/i.exec(stderr)) && m[1].trim()) || stderr;
+}
+
+function next() {
+  if (t === tests.length - 1)
+    return destroyServers();
+  var v = tests[++t];
+  v.run.call(v);
+}
+
+function makeMsg(what, msg) {
+  return '[' + group + what + ']: ' + msg;
+}
+
+function destroyServers() {
+  if (httpServer) {
+    httpServer.close();
+    httpServer = undefined;
+  }
+  if (upstreamServer) {
+    upstreamServer.close();
+    upstreamServer = undefined;
+  }
+  if (httpUpstreamServer) {
+    httpUpstreamServer.close();
+    httpUpstreamServer = undefined;
+  }
+  if (socks4UpstreamServer) {
+    socks4UpstreamServer.close();
+    socks4UpstreamServer = undefined;
+  }
+  if (udpServer) {
+    udpServer.close();
+    udpServer = undefined;
+  }
+  if (bulkServer) {
+    bulkServer.close();
+    bulkServer = undefined;
+  }
+}
+
+process.once('uncaughtException', function(err) {
+  destroyServers();
+
+  if (t > -1 && !/(?:^|\n)AssertionError: /i.test(''+err))
+    console.log(makeMsg(tests[t].what, 'Unexpected Exception:'));
+
+  throw err;
+});
+process.once('exit', function() {
+  destroyServers();
+
+  assert(t === tests.length - 1,
+         makeMsg('_exit',
+                 'Only finished ' + (t + 1) + '/' + tests.length + ' tests'));
+});
+
+cpexec('curl', ['--help'], function(err) {
+  if (err) {
+    console.error('curl is required to run upstream tests');
+    return;
+  }
+
+  // start an http server as the final destination, plus a plain SOCKS5 server,
+  // an HTTP CONNECT proxy and a SOCKS4(a) server acting as upstream proxies
+  httpServer = http.createServer(function(req, res) {
+    req.resume();
+    res.statusCode = 200;
+    res.end(HTTP_RESPONSE);
+  });
+  upstreamServer = createServer(function(info, accept) {
+    ++upstreamConns;
+    accept();
+  });
+  upstreamServer.useAuth(auth.None());
+
+  httpUpstreamServer = http.createServer(function(req, res) {
+    res.statusCode = 405;
+    res.end();
+  });
+  httpUpstreamServer.on('connect', function(req, socket, head) {
+    var expected = 'Basic ' + new Buffer('nodejs:rules').toString('base64'),
+        parts = req.url.split(':');
+    if (req.headers['proxy-authorization'] !== expected)
+      return socket.end('HTTP/1.1 407 Proxy Authentication Required\r\n\r\n');
+    if (req.headers['x-session'] === 'blocked')
+      return socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+    ++httpUpstreamConns;
+    var dstSock = net.connect(+parts[1], parts[0], function() {
+      socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+      if (head.length)
+        dstSock.write(head);
+      socket.pipe(dstSock).pipe(socket);
+    });
+    dstSock.on('error', function() {
+      socket.destroy();
+    });
+  });
+
+  // UDP echo server as the final destination of UDP associations
+  udpServer = dgram.createSocket('udp4', function(msg, rinfo) {
+    udpServer.send(msg, rinfo.port, rinfo.address);
+  });
+
+  socks4UpstreamServer = net.createServer(function(socket) {
+    var buf = new Buffer(0);
+    socket.on('data', function onData(chunk) {
+      buf = Buffer.concat([buf, chunk]);
+      // VER CMD DSTPORT(2) DSTIP(4) USERID NUL [HOSTNAME NUL]
+      var userEnd = buf.indexOf(0, 8),
+          is4a = (buf[4] === 0 && buf[5] === 0 && buf[6] === 0 && buf[7] !== 0),
+          hostEnd = (is4a && userEnd !== -1 ? buf.indexOf(0, userEnd + 1) : -1);
+      if (userEnd === -1 || (is4a && hostEnd === -1))
+        return;
+      socket.removeListener('data', onData);
+      var req = {
+        dstAddr: Array.prototype.join.call(buf.slice(4, 8), '.'),
+        dstPort: buf.readUInt16BE(2),
+        userId: buf.toString('utf8', 8, userEnd),
+        hostname: (is4a ? buf.toString('utf8', userEnd + 1, hostEnd) : undefined)
+      };
+      socks4Requests.push(req);
+      var dstSock = net.connect(req.dstPort, req.hostname || req.dstAddr,
+                                function() {
+        socket.write(new Buffer([0x00, 0x5A, 0, 0, 0, 0, 0, 0]));
+        socket.pipe(dstSock).pipe(socket);
+      });
+      dstSock.on('error', function() {
+        socket.end(new Buffer([0x00, 0x5B, 0, 0, 0, 0, 0, 0]));
+      });
+    });
+  });
+
+  // TCP server sending BULK_SIZE bytes to measure throughput
+  bulkServer = net.createServer(function(socket) {
+    socket.on('error', function() {});
+    socket.end(new Buffer(BULK_SIZE).fill(0x61));
+  });
+
+  httpServer.listen(0, 'localhost', function() {
+    upstreamServer.listen(0, 'localhost', function() {
+      httpUpstreamServer.listen(0, 'localhost', function() {
+        socks4UpstreamServer.listen(0, 'localhost', function() {
+          bulkServer.listen(0, '127.0.0.1', function() {
+            udpServer.bind(0, '127.0.0.1', next);
+          });
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,109 @@
+var createUsernameParser = require('../lib/username').createUsernameParser;
+
+var path = require('path'),
+    assert = require('assert'),
+    inspect = require('util').inspect;
+
+var t = -1,
+    group = path.basename(__filename, '.js') + '/';
+
+var tests = [
+  { run: function() {
+      var what = this.what,
+          parse = createUsernameParser(),
+          result = parse('customer-country-US-city-nyc-session-xyz-lifetime-10');
+      assert.deepEqual(result,
+                       { username: 'customer',
+                         options: {
+                           country: 'us',
+                           city: 'nyc',
+                           session: 'xyz',
+                           lifetime: 10
+                         } },
+                       makeMsg(what, 'Result mismatch: ' + inspect(result)));
+      next();
+    },
+    what: 'Default grammar'
+  },
+  { run: function() {
+      var what = this.what,
+          parse = createUsernameParser(),
+          result = parse('my-reseller-asn-AS7922');
+      assert.deepEqual(result,
+                       { username: 'my-reseller', options: { asn: 7922 } },
+                       makeMsg(what, 'Result mismatch: ' + inspect(result)));
+      result = parse('customer');
+      assert.deepEqual(result,
+                       { username: 'customer', options: {} },
+                       makeMsg(what, 'Result mismatch: ' + inspect(result)));
+      next();
+    },
+    what: 'Base username with separators and without options'
+  },
+  { run: function() {
+      var what = this.what,
+          parse = createUsernameParser();
+      [
+        ['customer-country-usa', /Invalid value 'usa' for username option 'country'/],
+        ['customer-lifetime-0', /must be at least 1/],
+        ['customer-lifetime-ten', /expected a number/],
+        ['customer-city', /Missing value for username option 'city'/],
+        ['customer-city-nyc-city-la', /Duplicate username option 'city'/],
+        ['customer-city-nyc-zip-10001', /Unknown username option 'zip'/],
+        ['-country-us', /missing the base username/]
+      ].forEach(function(c) {
+        assert.throws(function() {
+          parse(c[0]);
+        }, c[1], makeMsg(what, 'Accepted ' + c[0]));
+      });
+      next();
+    },
+    what: 'Validation errors'
+  },
+  { run: function() {
+      var what = this.what,
+          parse = createUsernameParser({
+            separator: '_',
+            fields: {
+              zone: { type: 'string', pattern: /^(resi|dc)$/ },
+              sticky: { type: 'boolean' },
+              port: { type: 'number', min: 1, max: 65535 }
+            }
+          }),
+          result = parse('acme-corp_zone_resi_sticky_true_port_8080');
+      assert.deepEqual(result,
+                       { username: 'acme-corp',
+                         options: { zone: 'resi', sticky: true, port: 8080 } },
+                       makeMsg(what, 'Result mismatch: ' + inspect(result)));
+      assert.throws(function() {
+        parse('acme_port_70000');
+      }, /must be at most 65535/, makeMsg(what, 'Accepted out of range value'));
+      next();
+    },
+    what: 'Custom separator and fields'
+  },
+];
+
+function next() {
+  if (t === tests.length - 1)
+    return;
+  var v = tests[++t];
+  v.run.call(v);
+}
+
+function makeMsg(what, msg) {
+  return '[' + group + what + ']: ' + msg;
+}
+
+process.once('uncaughtException', function(err) {
+  if (t > -1 && !/(?:^|\n)AssertionError: /i.test(''+err))
+    console.log(makeMsg(tests[t].what, 'Unexpected Exception:'));
+  throw err;
+});
+process.once('exit', function() {
+  assert(t === tests.length - 1,
+         makeMsg('_exit',
+                 'Only finished ' + (t + 1) + '/' + tests.length + ' tests'));
+});
+
+next();